@@ -5,10 +5,22 @@ import nodeRoutes from "./routes/node.routes.js";
 import deploymentRoutes from "./routes/deployment.routes.js";
 import serviceRoutes from "./routes/service.routes.js";
 import ingressRoutes from "./routes/ingress.routes.js";
+import certificateRoutes from "./routes/certificate.routes.js";
+import recordingRoutes from "./routes/recording.routes.js";
 import logger from "./config/logger.js";
+import { ROLES } from "./config/auth.js";
+import { authenticate } from "./middleware/auth.middleware.js";
+import {
+  authenticateRequest,
+  hasRole,
+  canAccessNamespace,
+} from "./services/auth.service.js";
 import { createTerminalWebSocketServer } from "./websocket/terminal.websocket.js";
 import { createLogWebSocketServer } from "./websocket/logs.websocket.js";
 import { createDeploymentLogWebSocketServer } from "./websocket/deployment.websocket.js";
+import { createRolloutWebSocketServer } from "./websocket/rollout.websocket.js";
+import { createRecordingReplayWebSocketServer } from "./websocket/recording.websocket.js";
+import { createPortForwardWebSocketServer } from "./websocket/portforward.websocket.js";
 
 const app = express();
 const server = http.createServer(app);
@@ -18,32 +30,60 @@ const port = process.env.PORT || 3000;
 const terminalWss = createTerminalWebSocketServer(server);
 const logWss = createLogWebSocketServer(server);
 const deploymentLogWss = createDeploymentLogWebSocketServer(server);
+const rolloutWss = createRolloutWebSocketServer(server);
+const recordingReplayWss = createRecordingReplayWebSocketServer(server);
+const portForwardWss = createPortForwardWebSocketServer(server);
 
 // Middleware
 app.use(
   cors({
-    origin: "*",
+    origin: process.env.CORS_ORIGIN || "*",
   })
 );
-app.use(express.json());
+// Patch endpoints accept the Kubernetes patch media types as JSON too.
+// Requests to the service proxy and file uploads keep their body untouched.
+const jsonParser = express.json({
+  type: ["application/json", "application/*+json"],
+});
+const SERVICE_PROXY_PATH =
+  /^\/api\/namespaces\/[^/]+\/services\/[^/]+\/proxy(\/|$)/;
+const POD_FILES_PATH = /^\/api\/namespaces\/[^/]+\/pods\/[^/]+\/files\/?$/;
+app.use((req, res, next) =>
+  SERVICE_PROXY_PATH.test(req.path) ||
+  (req.method === "PUT" && POD_FILES_PATH.test(req.path))
+    ? next()
+    : jsonParser(req, res, next)
+);
 app.use(express.static("public"));
 
+// Keeps WebSocket access tokens passed in the query string out of the logs
+const redactUrl = (requestUrl) =>
+  requestUrl.replace(/([?&]access_token=)[^&]*/, "$1[REDACTED]");
+
 // Request logging middleware
 app.use((req, res, next) => {
-  logger.info(`${req.method} ${req.url}`, {
+  const url = redactUrl(req.url);
+  logger.info(`${req.method} ${url}`, {
     method: req.method,
-    url: req.url,
+    url: url,
     ip: req.ip,
     userAgent: req.get("User-Agent"),
   });
   next();
 });
 
+// Authentication (the health check stays public for probes)
+app.use("/api", (req, res, next) =>
+  req.path === "/health" ? next() : authenticate(req, res, next)
+);
+
 // Routes
 app.use("/api", nodeRoutes);
 app.use("/api/deployments", deploymentRoutes);
 app.use("/api/services", serviceRoutes);
 app.use("/api/ingresses", ingressRoutes);
+app.use("/api/certificates", certificateRoutes);
+app.use("/api/recordings", recordingRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -54,9 +94,11 @@ app.use((err, req, res, next) => {
     method: req.method,
   });
 
-  res.status(500).json({
+  // Body parser errors (malformed JSON, oversized uploads) carry a 4xx status
+  const statusCode = err.status >= 400 && err.status < 500 ? err.status : 500;
+  res.status(statusCode).json({
     success: false,
-    error: "Internal server error",
+    error: statusCode === 500 ? "Internal server error" : err.message,
     message: err.message,
   });
 });
@@ -76,34 +118,108 @@ app.use((req, res) => {
   });
 });
 
+// Namespace targeted by a WebSocket route: taken from the path for pod
+// routes, from the query (defaulting to "default") for deployment routes.
+// Cluster-wide routes have none, which only unscoped callers may open.
+const namespaceFromPath = (match) => match[1];
+const namespaceFromQuery = (match, searchParams) =>
+  searchParams.get("namespace") || "default";
+const clusterWide = () => null;
+
+// WebSocket routes and the minimum role needed to open them
+const webSocketRoutes = [
+  {
+    pattern:
+      /^\/api\/namespaces\/([a-zA-Z0-9.-]+)\/pods\/[a-zA-Z0-9.-]+\/terminal$/,
+    wss: terminalWss,
+    role: ROLES.OPERATOR,
+    getNamespace: namespaceFromPath,
+  },
+  {
+    pattern:
+      /^\/api\/namespaces\/([a-zA-Z0-9.-]+)\/pods\/[a-zA-Z0-9.-]+\/logs\/stream$/,
+    wss: logWss,
+    role: ROLES.VIEWER,
+    getNamespace: namespaceFromPath,
+  },
+  {
+    pattern: /^\/api\/deployments\/[a-zA-Z0-9.-]+\/logs\/stream$/,
+    wss: deploymentLogWss,
+    role: ROLES.VIEWER,
+    getNamespace: namespaceFromQuery,
+  },
+  {
+    pattern: /^\/api\/deployments\/[a-zA-Z0-9.-]+\/rollout\/stream$/,
+    wss: rolloutWss,
+    role: ROLES.VIEWER,
+    getNamespace: namespaceFromQuery,
+  },
+  {
+    pattern:
+      /^\/api\/namespaces\/([a-zA-Z0-9.-]+)\/(pods|services)\/[a-zA-Z0-9.-]+\/portforward$/,
+    wss: portForwardWss,
+    role: ROLES.OPERATOR,
+    getNamespace: namespaceFromPath,
+  },
+  {
+    pattern: /^\/api\/recordings\/[\w-]+\/replay$/,
+    wss: recordingReplayWss,
+    role: ROLES.ADMIN,
+    getNamespace: clusterWide,
+  },
+];
+
+const rejectUpgrade = (socket, statusCode, statusText) => {
+  socket.write(`HTTP/1.1 ${statusCode} ${statusText}\r\n\r\n`);
+  socket.destroy();
+};
+
 server.on("upgrade", (request, socket, head) => {
-  const { pathname } = new URL(request.url, `http://${request.headers.host}`);
-
-  if (
-    pathname.match(
-      /^\/api\/namespaces\/[a-zA-Z0-9.-]+\/pods\/[a-zA-Z0-9.-]+\/terminal$/
-    )
-  ) {
-    terminalWss.handleUpgrade(request, socket, head, (ws) => {
-      terminalWss.emit("connection", ws, request);
-    });
-  } else if (
-    pathname.match(
-      /^\/api\/namespaces\/[a-zA-Z0-9.-]+\/pods\/[a-zA-Z0-9.-]+\/logs\/stream$/
-    )
-  ) {
-    logWss.handleUpgrade(request, socket, head, (ws) => {
-      logWss.emit("connection", ws, request);
+  const { pathname, searchParams } = new URL(
+    request.url,
+    `http://${request.headers.host}`
+  );
+  const route = webSocketRoutes.find(({ pattern }) => pattern.test(pathname));
+
+  if (!route) {
+    socket.destroy();
+    return;
+  }
+
+  const principal = authenticateRequest(request);
+  if (!principal) {
+    logger.warn(`Unauthenticated WebSocket upgrade rejected: ${pathname}`);
+    rejectUpgrade(socket, 401, "Unauthorized");
+    return;
+  }
+
+  if (!hasRole(principal, route.role)) {
+    logger.warn(`Forbidden WebSocket upgrade rejected: ${pathname}`, {
+      principal: principal.name,
+      role: principal.role,
+      requiredRole: route.role,
     });
-  } else if (
-    pathname.match(/^\/api\/deployments\/[a-zA-Z0-9.-]+\/logs\/stream$/)
-  ) {
-    deploymentLogWss.handleUpgrade(request, socket, head, (ws) => {
-      deploymentLogWss.emit("connection", ws, request);
+    rejectUpgrade(socket, 403, "Forbidden");
+    return;
+  }
+
+  const namespace = route.getNamespace(
+    pathname.match(route.pattern),
+    searchParams
+  );
+  if (!canAccessNamespace(principal, namespace)) {
+    logger.warn(`Cross-namespace WebSocket upgrade rejected: ${pathname}`, {
+      principal: principal.name,
+      namespace: namespace,
     });
-  } else {
-    socket.destroy();
+    rejectUpgrade(socket, 403, "Forbidden");
+    return;
   }
+
+  request.auth = principal;
+  route.wss.handleUpgrade(request, socket, head, (ws) => {
+    route.wss.emit("connection", ws, request);
+  });
 });
 
 server.listen(port, () => {
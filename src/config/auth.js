@@ -0,0 +1,106 @@
+import { readFileSync } from "fs";
+import logger from "./logger.js";
+
+// Roles are ordered: each role includes the permissions of the ones before it.
+export const ROLES = {
+  VIEWER: "viewer",
+  OPERATOR: "operator",
+  ADMIN: "admin",
+};
+
+export const ROLE_LEVELS = {
+  [ROLES.VIEWER]: 1,
+  [ROLES.OPERATOR]: 2,
+  [ROLES.ADMIN]: 3,
+};
+
+const readFile = (filePath, description) => {
+  try {
+    return readFileSync(filePath, "utf8");
+  } catch (error) {
+    logger.error(`Failed to read ${description} from ${filePath}`, {
+      error: error.message,
+    });
+    return null;
+  }
+};
+
+// API keys are configured as a JSON array, either inline in API_KEYS or in
+// the file named by API_KEYS_FILE:
+//   [{ "name": "dashboard", "key": "...", "role": "viewer" }]
+// An optional "namespaces" list restricts the key to those namespaces; an
+// entry ending in "*" matches by prefix.
+const loadApiKeys = () => {
+  let raw = process.env.API_KEYS;
+  if (process.env.API_KEYS_FILE) {
+    raw = readFile(process.env.API_KEYS_FILE, "API keys");
+  }
+  if (!raw) {
+    return [];
+  }
+
+  let entries;
+  try {
+    entries = JSON.parse(raw);
+  } catch (error) {
+    logger.error("API key configuration is not valid JSON", {
+      error: error.message,
+    });
+    return [];
+  }
+
+  if (!Array.isArray(entries)) {
+    logger.error("API key configuration must be a JSON array");
+    return [];
+  }
+
+  return entries.filter((entry, index) => {
+    if (!entry?.key || !ROLE_LEVELS[entry.role]) {
+      logger.warn(`Ignoring API key entry ${index}: missing key or role`, {
+        name: entry?.name,
+        role: entry?.role,
+      });
+      return false;
+    }
+    return true;
+  });
+};
+
+// JWTs are verified against JWT_SECRET (HMAC) or the PEM public key in
+// JWT_PUBLIC_KEY_FILE (RSA/ECDSA).
+const loadJwtConfig = () => {
+  let key = process.env.JWT_SECRET || null;
+  if (process.env.JWT_PUBLIC_KEY_FILE) {
+    key = readFile(process.env.JWT_PUBLIC_KEY_FILE, "JWT public key");
+  }
+  if (!key) {
+    return null;
+  }
+
+  return {
+    key,
+    algorithms: process.env.JWT_PUBLIC_KEY_FILE
+      ? ["RS256", "RS384", "RS512", "ES256", "ES384", "ES512"]
+      : ["HS256", "HS384", "HS512"],
+    issuer: process.env.JWT_ISSUER || undefined,
+    audience: process.env.JWT_AUDIENCE || undefined,
+  };
+};
+
+const authConfig = {
+  enabled: process.env.AUTH_ENABLED !== "false",
+  apiKeys: loadApiKeys(),
+  jwt: loadJwtConfig(),
+};
+
+if (!authConfig.enabled) {
+  logger.warn(
+    "Authentication is disabled (AUTH_ENABLED=false); every request is treated as admin"
+  );
+} else if (authConfig.apiKeys.length === 0 && !authConfig.jwt) {
+  logger.warn(
+    "Authentication is enabled but no API keys or JWT key are configured; all API requests will be rejected"
+  );
+}
+
+export default authConfig;
@@ -0,0 +1,16 @@
+// Ephemeral debug containers use DEBUG_CONTAINER_IMAGE unless the request
+// names another image from the comma-separated DEBUG_CONTAINER_ALLOWED_IMAGES.
+const image = process.env.DEBUG_CONTAINER_IMAGE || "busybox:1.36";
+
+const debugConfig = {
+  image,
+  allowedImages: [
+    image,
+    ...(process.env.DEBUG_CONTAINER_ALLOWED_IMAGES || "")
+      .split(",")
+      .map((entry) => entry.trim())
+      .filter(Boolean),
+  ],
+};
+
+export default debugConfig;
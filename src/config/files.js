@@ -0,0 +1,12 @@
+// Size limits of file transfers to and from containers, in MiB.
+const parseSizeMb = (value, fallback) => {
+  const number = Number(value);
+  return value && Number.isFinite(number) && number > 0 ? number : fallback;
+};
+
+const filesConfig = {
+  maxDownloadMb: parseSizeMb(process.env.FILE_DOWNLOAD_MAX_SIZE_MB, 100),
+  maxUploadMb: parseSizeMb(process.env.FILE_UPLOAD_MAX_SIZE_MB, 10),
+};
+
+export default filesConfig;
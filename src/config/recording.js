@@ -0,0 +1,41 @@
+import path from "path";
+import logger from "./logger.js";
+
+const parsePositiveNumber = (value, fallback, name) => {
+  if (value === undefined || value === "") {
+    return fallback;
+  }
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    logger.warn(`Ignoring invalid ${name}: ${value}`);
+    return fallback;
+  }
+  return number;
+};
+
+// Terminal sessions are recorded in asciicast v2 format to a local
+// directory. Recordings older than the retention period are removed, and the
+// oldest ones are removed first once the directory exceeds its size limit
+// (0 disables a limit).
+const recordingConfig = {
+  enabled: process.env.TERMINAL_RECORDING_ENABLED !== "false",
+  directory: path.resolve(process.env.TERMINAL_RECORDING_DIR || "recordings"),
+  retentionDays: parsePositiveNumber(
+    process.env.TERMINAL_RECORDING_RETENTION_DAYS,
+    90,
+    "TERMINAL_RECORDING_RETENTION_DAYS"
+  ),
+  maxTotalSizeMb: parsePositiveNumber(
+    process.env.TERMINAL_RECORDING_MAX_SIZE_MB,
+    1024,
+    "TERMINAL_RECORDING_MAX_SIZE_MB"
+  ),
+};
+
+if (!recordingConfig.enabled) {
+  logger.warn(
+    "Terminal session recording is disabled (TERMINAL_RECORDING_ENABLED=false)"
+  );
+}
+
+export default recordingConfig;
@@ -0,0 +1,192 @@
+import certificateService from "../services/certificate.service.js";
+import ingressService from "../services/ingress.service.js";
+import logger from "../config/logger.js";
+import { sendError } from "../utils/k8s.errors.js";
+import { filterByNamespace } from "../services/auth.service.js";
+
+const DEFAULT_EXPIRING_WITHIN_DAYS = 30;
+
+// `withinDays` query parameter: the number of days before expiry at which a
+// certificate counts as expiring soon.
+const parseWithinDays = (value) => {
+  if (value === undefined) {
+    return DEFAULT_EXPIRING_WITHIN_DAYS;
+  }
+  const days = Number(value);
+  return Number.isInteger(days) && days >= 0 ? days : null;
+};
+
+export const getIngressCertificates = async (req, res) => {
+  try {
+    const { namespace, expiringSoon } = req.query;
+    const expiringWithinDays = parseWithinDays(req.query.withinDays);
+    if (expiringWithinDays === null) {
+      return res.status(400).json({
+        success: false,
+        error: "withinDays must be a non-negative integer",
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    logger.info("Fetching ingress certificates", {
+      namespace: namespace || "all namespaces",
+      expiringSoon: expiringSoon === "true",
+    });
+
+    const ingresses = filterByNamespace(
+      req.auth,
+      await ingressService.getAllIngresses(namespace),
+      (item) => item.metadata?.namespace
+    );
+    let certificates = await certificateService.getIngressCertificates(
+      ingresses,
+      { expiringWithinDays }
+    );
+    if (expiringSoon === "true") {
+      certificates = certificates.filter(
+        (certificate) => certificate.expiringSoon
+      );
+    }
+
+    res.json({
+      success: true,
+      data: certificates,
+      count: certificates.length,
+      namespace: namespace || "all",
+      expiringWithinDays: expiringWithinDays,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Failed to fetch ingress certificates", {
+      namespace: req.query.namespace,
+      error: error.message,
+      stack: error.stack,
+    });
+    sendError(res, error);
+  }
+};
+
+export const getCertificate = async (req, res) => {
+  const { name } = req.params;
+  const { namespace = "default" } = req.query;
+
+  try {
+    const expiringWithinDays = parseWithinDays(req.query.withinDays);
+    if (expiringWithinDays === null) {
+      return res.status(400).json({
+        success: false,
+        error: "withinDays must be a non-negative integer",
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    logger.info(`Fetching certificate: ${name} in namespace: ${namespace}`);
+    const certificate = await certificateService.getCertificate(
+      name,
+      namespace,
+      { expiringWithinDays }
+    );
+
+    res.json({
+      success: true,
+      data: certificate,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error(`Failed to fetch certificate: ${name}`, {
+      namespace: namespace,
+      error: error.message,
+    });
+    sendError(res, error);
+  }
+};
+
+export const uploadCertificate = async (req, res) => {
+  const { name } = req.params;
+  const { namespace = "default" } = req.query;
+
+  try {
+    logger.info(`Uploading certificate: ${name} in namespace: ${namespace}`);
+    const { created, certificate } = await certificateService.uploadCertificate(
+      name,
+      namespace,
+      req.body || {}
+    );
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      data: certificate,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error(`Failed to upload certificate: ${name}`, {
+      namespace: namespace,
+      error: error.message,
+    });
+    sendError(res, error);
+  }
+};
+
+export const requestCertificate = async (req, res) => {
+  const { name } = req.params;
+  const { namespace = "default" } = req.query;
+
+  try {
+    logger.info(
+      `Requesting certificate from cert-manager: ${name} in namespace: ${namespace}`
+    );
+    const certificate = await certificateService.requestCertificate(
+      name,
+      namespace,
+      req.body || {}
+    );
+
+    res.status(201).json({
+      success: true,
+      data: certificate,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error(`Failed to request certificate: ${name}`, {
+      namespace: namespace,
+      error: error.message,
+    });
+    sendError(res, error);
+  }
+};
+
+export const attachCertificate = async (req, res) => {
+  const { name } = req.params;
+  const { namespace = "default" } = req.query;
+
+  try {
+    logger.info(
+      `Attaching TLS secret to ingress: ${name} in namespace: ${namespace}`
+    );
+    const ingress = await certificateService.attachCertificate(
+      name,
+      namespace,
+      req.body || {}
+    );
+
+    res.json({
+      success: true,
+      data: ingress,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error(`Failed to attach TLS secret to ingress: ${name}`, {
+      namespace: namespace,
+      error: error.message,
+    });
+    sendError(res, error);
+  }
+};
+
+export default {
+  getIngressCertificates,
+  getCertificate,
+  uploadCertificate,
+  requestCertificate,
+  attachCertificate,
+};
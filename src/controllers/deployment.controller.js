@@ -1,5 +1,27 @@
+import { PatchStrategy } from "@kubernetes/client-node";
 import deploymentService from "../services/deployment.service.js";
 import logger from "../config/logger.js";
+import { sendError, getHttpStatus } from "../utils/k8s.errors.js";
+import { filterByNamespace } from "../services/auth.service.js";
+
+const PATCH_TYPES = {
+  strategic: PatchStrategy.StrategicMergePatch,
+  merge: PatchStrategy.MergePatch,
+  json: PatchStrategy.JsonPatch,
+};
+
+// The patch type comes from the "type" query parameter or, failing that,
+// from a patch Content-Type header. Strategic merge is the default.
+const resolvePatchType = (req) => {
+  if (req.query.type) {
+    return PATCH_TYPES[req.query.type] || null;
+  }
+  const contentType = req.get("Content-Type")?.split(";")[0].trim();
+  if (Object.values(PATCH_TYPES).includes(contentType)) {
+    return contentType;
+  }
+  return PatchStrategy.StrategicMergePatch;
+};
 
 export const getAllDeployments = async (req, res) => {
   try {
@@ -9,7 +31,11 @@ export const getAllDeployments = async (req, res) => {
       namespace: namespace || "all namespaces",
     });
 
-    const deployments = await deploymentService.getAllDeployments(namespace);
+    const deployments = filterByNamespace(
+      req.auth,
+      await deploymentService.getAllDeployments(namespace),
+      (item) => item.metadata?.namespace
+    );
 
     logger.info(`Successfully retrieved ${deployments.length} deployments`);
     res.json({
@@ -122,6 +148,30 @@ export const streamDeploymentLogs = async (req, res) => {
   }
 };
 
+export const streamDeploymentRollout = async (req, res) => {
+  try {
+    const { name } = req.params;
+
+    if (!name || name.trim() === "") {
+      return res.status(400).json({
+        success: false,
+        error: "Deployment name parameter is required",
+      });
+    }
+
+    res.status(101).send("Switching protocols");
+  } catch (error) {
+    logger.error("Failed to initiate deployment rollout stream", {
+      error: error.message,
+      stack: error.stack,
+    });
+    res.status(500).json({
+      success: false,
+      error: "Failed to initiate deployment rollout stream",
+    });
+  }
+};
+
 export const getDeploymentPods = async (req, res) => {
   try {
     const { name } = req.params;
@@ -160,7 +210,7 @@ export const getDeploymentPods = async (req, res) => {
 };
 export const createDeployment = async (req, res) => {
   try {
-    const { namespace = "default" } = req.query;
+    const { namespace = "default", atomic, adopt } = req.query;
     const { deployment, service, ingress } = req.body;
 
     if (!deployment) {
@@ -174,7 +224,8 @@ export const createDeployment = async (req, res) => {
       namespace,
       deployment,
       service,
-      ingress
+      ingress,
+      { atomic: atomic === "true", adopt: adopt === "true" }
     );
 
     res.status(201).json({
@@ -184,13 +235,15 @@ export const createDeployment = async (req, res) => {
   } catch (error) {
     logger.error(`Failed to create deployment: ${error.message}`, {
       namespace: req.query.namespace,
+      objects: error.objects,
       error: error.message,
       stack: error.stack,
     });
 
-    res.status(500).json({
+    res.status(getHttpStatus(error)).json({
       success: false,
       error: error.message,
+      objects: error.objects,
     });
   }
 };
@@ -227,11 +280,309 @@ export const restartDeployment = async (req, res) => {
   }
 };
 
+export const updateDeployment = async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { namespace = "default" } = req.query;
+    const body = req.body;
+
+    if (!body || typeof body !== "object" || !body.spec) {
+      return res.status(400).json({
+        success: false,
+        error:
+          "Deployment manifest with a spec is required in the request body",
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    if (body.metadata?.name && body.metadata.name !== name) {
+      return res.status(400).json({
+        success: false,
+        error: `Deployment name in body '${body.metadata.name}' does not match '${name}'`,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    logger.info(`Replacing deployment: ${name} in namespace: ${namespace}`);
+
+    const deployment = await deploymentService.updateDeployment(
+      name,
+      namespace,
+      body
+    );
+
+    res.json({
+      success: true,
+      data: deployment,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error(`Failed to replace deployment: ${req.params.name}`, {
+      deploymentName: req.params.name,
+      namespace: req.query.namespace,
+      error: error.message,
+      stack: error.stack,
+    });
+
+    sendError(res, error);
+  }
+};
+
+export const patchDeployment = async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { namespace = "default" } = req.query;
+    const patchType = resolvePatchType(req);
+
+    if (!patchType) {
+      return res.status(400).json({
+        success: false,
+        error: `Unsupported patch type '${
+          req.query.type
+        }'. Use one of: ${Object.keys(PATCH_TYPES).join(", ")}`,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    if (!req.body || typeof req.body !== "object") {
+      return res.status(400).json({
+        success: false,
+        error: "Patch document is required in the request body",
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    logger.info(`Patching deployment: ${name} in namespace: ${namespace}`, {
+      patchType,
+    });
+
+    const deployment = await deploymentService.patchDeployment(
+      name,
+      namespace,
+      req.body,
+      patchType
+    );
+
+    res.json({
+      success: true,
+      data: deployment,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error(`Failed to patch deployment: ${req.params.name}`, {
+      deploymentName: req.params.name,
+      namespace: req.query.namespace,
+      error: error.message,
+      stack: error.stack,
+    });
+
+    sendError(res, error);
+  }
+};
+
+export const scaleDeployment = async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { namespace = "default" } = req.query;
+    const replicas = req.body?.replicas;
+
+    if (!Number.isInteger(replicas) || replicas < 0) {
+      return res.status(400).json({
+        success: false,
+        error: "replicas must be a non-negative integer",
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    logger.info(
+      `Scaling deployment: ${name} in namespace: ${namespace} to ${replicas} replicas`
+    );
+
+    const deployment = await deploymentService.scaleDeployment(
+      name,
+      namespace,
+      replicas
+    );
+
+    res.json({
+      success: true,
+      data: deployment,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error(`Failed to scale deployment: ${req.params.name}`, {
+      deploymentName: req.params.name,
+      namespace: req.query.namespace,
+      error: error.message,
+      stack: error.stack,
+    });
+
+    sendError(res, error);
+  }
+};
+
+export const deleteDeployment = async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { namespace = "default", cascade } = req.query;
+
+    logger.info(`Deleting deployment: ${name} in namespace: ${namespace}`, {
+      cascade: cascade === "true",
+    });
+
+    const result = await deploymentService.deleteDeployment(name, namespace, {
+      cascade: cascade === "true",
+    });
+
+    res.json({
+      success: true,
+      data: result.deployment,
+      deleted: result.deleted,
+      companionError: result.companionError,
+      message: result.companionError
+        ? `Deployment ${name} deleted, but not all of its companions`
+        : `Deployment ${name} deleted successfully`,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error(`Failed to delete deployment: ${req.params.name}`, {
+      deploymentName: req.params.name,
+      namespace: req.query.namespace,
+      error: error.message,
+      stack: error.stack,
+    });
+
+    sendError(res, error);
+  }
+};
+
+export const getDeploymentRolloutStatus = async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { namespace = "default" } = req.query;
+
+    logger.info(
+      `Fetching rollout status of deployment: ${name} in namespace: ${namespace}`
+    );
+
+    const rollout = await deploymentService.getDeploymentRolloutStatus(
+      name,
+      namespace
+    );
+
+    res.json({
+      success: true,
+      data: rollout,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error(`Failed to fetch rollout status: ${req.params.name}`, {
+      deploymentName: req.params.name,
+      namespace: req.query.namespace,
+      error: error.message,
+      stack: error.stack,
+    });
+
+    sendError(res, error);
+  }
+};
+
+export const getDeploymentHistory = async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { namespace = "default" } = req.query;
+
+    logger.info(
+      `Fetching rollout history of deployment: ${name} in namespace: ${namespace}`
+    );
+
+    const history = await deploymentService.getDeploymentHistory(
+      name,
+      namespace
+    );
+
+    res.json({
+      success: true,
+      data: history,
+      count: history.length,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error(`Failed to fetch rollout history: ${req.params.name}`, {
+      deploymentName: req.params.name,
+      namespace: req.query.namespace,
+      error: error.message,
+      stack: error.stack,
+    });
+
+    sendError(res, error);
+  }
+};
+
+export const rollbackDeployment = async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { namespace = "default", revision } = req.query;
+
+    // Without a revision the deployment goes back to the previous one
+    let targetRevision = null;
+    if (revision !== undefined) {
+      targetRevision = Number(revision);
+      if (!Number.isInteger(targetRevision) || targetRevision <= 0) {
+        return res.status(400).json({
+          success: false,
+          error: "revision must be a positive integer",
+          timestamp: new Date().toISOString(),
+        });
+      }
+    }
+
+    logger.info(`Rolling back deployment: ${name} in namespace: ${namespace}`, {
+      revision: targetRevision || "previous",
+    });
+
+    const result = await deploymentService.rollbackDeployment(
+      name,
+      namespace,
+      targetRevision
+    );
+
+    res.json({
+      success: true,
+      data: result.deployment,
+      revision: result.revision,
+      skipped: result.skipped,
+      message: result.skipped
+        ? `Deployment ${name} is already at revision ${result.revision}`
+        : `Deployment ${name} rolled back to revision ${result.revision}`,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error(`Failed to roll back deployment: ${req.params.name}`, {
+      deploymentName: req.params.name,
+      namespace: req.query.namespace,
+      revision: req.query.revision,
+      error: error.message,
+      stack: error.stack,
+    });
+
+    sendError(res, error);
+  }
+};
+
 export default {
   getAllDeployments,
   getDeploymentByName,
   streamDeploymentLogs,
+  streamDeploymentRollout,
   getDeploymentPods,
   restartDeployment,
   createDeployment,
+  updateDeployment,
+  patchDeployment,
+  scaleDeployment,
+  deleteDeployment,
+  getDeploymentRolloutStatus,
+  getDeploymentHistory,
+  rollbackDeployment,
 };
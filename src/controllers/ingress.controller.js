@@ -1,5 +1,19 @@
 import ingressService from "../services/ingress.service.js";
 import logger from "../config/logger.js";
+import { filterByNamespace } from "../services/auth.service.js";
+import { sendError, toHttpError } from "../utils/k8s.errors.js";
+
+// Checks the manifest of a create or replace request; returns an error
+// message or null.
+const validateIngressBody = (body, name) => {
+  if (!body || typeof body !== "object" || !body.spec) {
+    return "Ingress manifest with a spec is required in the request body";
+  }
+  if (name && body.metadata?.name && body.metadata.name !== name) {
+    return `Ingress name in body '${body.metadata.name}' does not match '${name}'`;
+  }
+  return null;
+};
 
 export const getAllIngresses = async (req, res) => {
   try {
@@ -9,7 +23,11 @@ export const getAllIngresses = async (req, res) => {
       namespace: namespace || "all namespaces",
     });
 
-    const ingresses = await ingressService.getAllIngresses(namespace);
+    const ingresses = filterByNamespace(
+      req.auth,
+      await ingressService.getAllIngresses(namespace),
+      (item) => item.metadata?.namespace
+    );
 
     logger.info(`Successfully retrieved ${ingresses.length} ingresses`);
     res.json({
@@ -41,6 +59,151 @@ export const getAllIngresses = async (req, res) => {
   }
 };
 
+export const getIngressByName = async (req, res) => {
+  const { name } = req.params;
+  const { namespace = "default" } = req.query;
+
+  try {
+    logger.info(`Fetching ingress: ${name} in namespace: ${namespace}`);
+
+    const ingress = await ingressService.getIngressByName(name, namespace);
+
+    res.json({
+      success: true,
+      data: ingress,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error(`Failed to fetch ingress: ${name}`, {
+      ingressName: name,
+      namespace: namespace,
+      error: error.message,
+    });
+    sendError(
+      res,
+      toHttpError(error, { action: "read", kind: "Ingress", name, namespace })
+    );
+  }
+};
+
+export const createIngress = async (req, res) => {
+  const { namespace = "default" } = req.query;
+  const body = req.body;
+
+  try {
+    const invalid = validateIngressBody(body);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: invalid,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    logger.info(
+      `Creating ingress: ${body.metadata?.name} in namespace: ${namespace}`
+    );
+
+    const ingress = await ingressService.createIngress(namespace, {
+      ...body,
+      metadata: { ...body.metadata, namespace },
+    });
+
+    res.status(201).json({
+      success: true,
+      data: ingress,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Failed to create ingress", {
+      namespace: namespace,
+      error: error.message,
+    });
+    sendError(
+      res,
+      toHttpError(error, {
+        action: "create",
+        kind: "Ingress",
+        name: null,
+        namespace,
+      })
+    );
+  }
+};
+
+export const updateIngress = async (req, res) => {
+  const { name } = req.params;
+  const { namespace = "default" } = req.query;
+  const body = req.body;
+
+  try {
+    const invalid = validateIngressBody(body, name);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: invalid,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    logger.info(`Replacing ingress: ${name} in namespace: ${namespace}`);
+
+    const ingress = await ingressService.updateIngress(name, namespace, body);
+
+    res.json({
+      success: true,
+      data: ingress,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error(`Failed to replace ingress: ${name}`, {
+      ingressName: name,
+      namespace: namespace,
+      error: error.message,
+    });
+    sendError(
+      res,
+      toHttpError(error, {
+        action: "replace",
+        kind: "Ingress",
+        name,
+        namespace,
+      })
+    );
+  }
+};
+
+export const deleteIngress = async (req, res) => {
+  const { name } = req.params;
+  const { namespace = "default" } = req.query;
+
+  try {
+    logger.info(`Deleting ingress: ${name} in namespace: ${namespace}`);
+
+    await ingressService.deleteIngress(name, namespace);
+
+    res.json({
+      success: true,
+      message: `Ingress ${name} deleted successfully`,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error(`Failed to delete ingress: ${name}`, {
+      ingressName: name,
+      namespace: namespace,
+      error: error.message,
+    });
+    sendError(
+      res,
+      toHttpError(error, { action: "delete", kind: "Ingress", name, namespace })
+    );
+  }
+};
+
 export default {
   getAllIngresses,
+  getIngressByName,
+  createIngress,
+  updateIngress,
+  deleteIngress,
 };
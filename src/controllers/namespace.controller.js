@@ -1,10 +1,16 @@
 import namespaceService from "../services/namespace.service.js";
 import logger from "../config/logger.js";
+import { sendError } from "../utils/k8s.errors.js";
+import { filterByNamespace } from "../services/auth.service.js";
 
 export const getAllNamespaces = async (req, res) => {
   try {
     logger.info("Fetching all namespaces");
-    const namespaces = await namespaceService.getAllNamespaces();
+    const namespaces = filterByNamespace(
+      req.auth,
+      await namespaceService.getAllNamespaces(),
+      (namespace) => namespace.name
+    );
 
     logger.info(`Successfully retrieved ${namespaces.length} namespaces`);
     res.json({
@@ -83,7 +89,122 @@ export const getNamespaceByName = async (req, res) => {
   }
 };
 
+export const getNamespaceSummary = async (req, res) => {
+  try {
+    const { name } = req.params;
+
+    logger.info(`Fetching summary of namespace: ${name}`);
+
+    const summary = await namespaceService.getNamespaceSummary(name);
+
+    res.json({
+      success: true,
+      data: summary,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error(`Failed to fetch summary of namespace: ${req.params.name}`, {
+      namespaceName: req.params.name,
+      error: error.message,
+      stack: error.stack,
+    });
+
+    sendError(res, error);
+  }
+};
+
+export const createNamespace = async (req, res) => {
+  try {
+    const { name, labels, annotations } = req.body || {};
+
+    logger.info(`Creating namespace: ${name}`);
+
+    const namespace = await namespaceService.createNamespace({
+      name,
+      labels,
+      annotations,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: namespace,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error(`Failed to create namespace: ${req.body?.name}`, {
+      namespaceName: req.body?.name,
+      error: error.message,
+      stack: error.stack,
+    });
+
+    sendError(res, error);
+  }
+};
+
+export const patchNamespaceLabels = async (req, res) => {
+  try {
+    const { name } = req.params;
+
+    logger.info(`Patching labels of namespace: ${name}`);
+
+    const namespace = await namespaceService.patchNamespaceLabels(
+      name,
+      req.body?.labels
+    );
+
+    res.json({
+      success: true,
+      data: namespace,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error(`Failed to patch namespace: ${req.params.name}`, {
+      namespaceName: req.params.name,
+      error: error.message,
+      stack: error.stack,
+    });
+
+    sendError(res, error);
+  }
+};
+
+// Responds 202 while the namespace is terminating and 200 once it is gone;
+// repeat the request to follow the deletion.
+export const deleteNamespace = async (req, res) => {
+  try {
+    const { name } = req.params;
+
+    logger.info(`Deleting namespace: ${name}`);
+
+    const result = await namespaceService.deleteNamespace(name);
+
+    res.status(result.deleted ? 200 : 202).json({
+      success: true,
+      data: result.namespace,
+      deleted: result.deleted,
+      message: result.deleted
+        ? `Namespace ${name} deleted successfully`
+        : result.namespace.termination?.stuck
+        ? `Namespace ${name} is stuck terminating`
+        : `Namespace ${name} is terminating`,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error(`Failed to delete namespace: ${req.params.name}`, {
+      namespaceName: req.params.name,
+      error: error.message,
+      stack: error.stack,
+    });
+
+    sendError(res, error);
+  }
+};
+
 export default {
   getAllNamespaces,
   getNamespaceByName,
+  getNamespaceSummary,
+  createNamespace,
+  patchNamespaceLabels,
+  deleteNamespace,
 };
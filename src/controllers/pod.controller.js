@@ -1,5 +1,21 @@
+import path from "path";
 import podService from "../services/pod.service.js";
 import logger from "../config/logger.js";
+import { sendError } from "../utils/k8s.errors.js";
+import filesConfig from "../config/files.js";
+import { filterByNamespace } from "../services/auth.service.js";
+
+// Upper bound for requests that wait for a pod or container to come up
+const MAX_WAIT_TIMEOUT_SECONDS = 300;
+
+// Parses an optional non-negative integer query parameter. Returns undefined
+// when absent and NaN when invalid.
+const parseIntegerParam = (value) => {
+  if (value === undefined || value === "") {
+    return undefined;
+  }
+  return /^\d+$/.test(value) ? parseInt(value, 10) : NaN;
+};
 
 export const getAllPods = async (req, res) => {
   try {
@@ -9,7 +25,11 @@ export const getAllPods = async (req, res) => {
       namespace: namespace || "all namespaces",
     });
 
-    const pods = await podService.getAllPods(namespace);
+    const pods = filterByNamespace(
+      req.auth,
+      await podService.getAllPods(namespace),
+      (pod) => pod.namespace
+    );
 
     logger.info(`Successfully retrieved ${pods.length} pods`);
     res.json({
@@ -183,10 +203,51 @@ export const connectToPodTerminal = async (req, res) => {
   }
 };
 
+// Reads the log query parameters shared by the JSON and download modes.
+// Returns { options } or { error } with a message for a 400 response.
+const parseLogOptions = (query) => {
+  const options = {
+    previous: query.previous === "true",
+    timestamps: query.timestamps === "true",
+  };
+
+  for (const name of ["tailLines", "sinceSeconds", "limitBytes"]) {
+    const value = parseIntegerParam(query[name]);
+    if (Number.isNaN(value) || value === 0) {
+      return { error: `${name} must be a positive integer` };
+    }
+    options[name] = value;
+  }
+
+  if (query.sinceTime) {
+    if (Number.isNaN(Date.parse(query.sinceTime))) {
+      return { error: "sinceTime must be an RFC3339 timestamp" };
+    }
+    if (options.sinceSeconds !== undefined) {
+      return { error: "Only one of sinceSeconds or sinceTime may be given" };
+    }
+    options.sinceTime = new Date(query.sinceTime).toISOString();
+  }
+
+  return { options };
+};
+
+// Joins the logs of several containers into one text, each under a
+// "==> container <==" header.
+const formatContainerLogs = (results) =>
+  results
+    .map(
+      ({ container, logs, error }) =>
+        `==> ${container} <==\n${error ? `(${error})\n` : logs}`
+    )
+    .join("\n");
+
 export const getPodLogs = async (req, res) => {
   try {
     const { namespace, podName } = req.params;
     const { containerName } = req.query;
+    const allContainers = req.query.allContainers === "true";
+    const download = req.query.download === "true";
 
     if (!namespace || !podName) {
       return res.status(400).json({
@@ -195,20 +256,61 @@ export const getPodLogs = async (req, res) => {
       });
     }
 
-    const logs = await podService.getPodLogs(namespace, podName, containerName);
+    const { options, error } = parseLogOptions(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    if (allContainers) {
+      const results = await podService.getAllContainerLogs(
+        namespace,
+        podName,
+        options
+      );
+
+      if (download) {
+        res.attachment(`${podName}.log`);
+        return res.type("text/plain").send(formatContainerLogs(results));
+      }
+
+      return res.json({
+        success: true,
+        data: results,
+        count: results.length,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    const logs = await podService.getPodLogs(
+      namespace,
+      podName,
+      containerName,
+      options
+    );
+
+    if (download) {
+      res.attachment(
+        containerName ? `${podName}-${containerName}.log` : `${podName}.log`
+      );
+      return res.type("text/plain").send(logs);
+    }
+
     res.json({
       success: true,
       data: logs,
     });
   } catch (error) {
     logger.error("Failed to get pod logs", {
+      podName: req.params.podName,
+      namespace: req.params.namespace,
       error: error.message,
       stack: error.stack,
     });
-    res.status(500).json({
-      success: false,
-      error: "Failed to get pod logs",
-    });
+    sendError(res, error);
   }
 };
 
@@ -243,11 +345,482 @@ export const streamPodLogs = async (req, res) => {
   }
 };
 
+export const deletePod = async (req, res) => {
+  try {
+    const { namespace, podName } = req.params;
+    const force = req.query.force === "true";
+    const gracePeriodSeconds = parseIntegerParam(req.query.gracePeriodSeconds);
+
+    if (Number.isNaN(gracePeriodSeconds)) {
+      return res.status(400).json({
+        success: false,
+        error: "gracePeriodSeconds must be a non-negative integer",
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    logger.info(`Deleting pod: ${podName} in namespace: ${namespace}`, {
+      gracePeriodSeconds,
+      force,
+    });
+
+    const pod = await podService.deletePod(namespace, podName, {
+      gracePeriodSeconds,
+      force,
+    });
+
+    res.json({
+      success: true,
+      data: pod,
+      message: `Pod ${podName} deleted successfully`,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error(`Failed to delete pod: ${req.params.podName}`, {
+      podName: req.params.podName,
+      namespace: req.params.namespace,
+      error: error.message,
+      stack: error.stack,
+    });
+
+    sendError(res, error);
+  }
+};
+
+export const evictPod = async (req, res) => {
+  try {
+    const { namespace, podName } = req.params;
+    const gracePeriodSeconds = parseIntegerParam(req.query.gracePeriodSeconds);
+
+    if (Number.isNaN(gracePeriodSeconds)) {
+      return res.status(400).json({
+        success: false,
+        error: "gracePeriodSeconds must be a non-negative integer",
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    logger.info(`Evicting pod: ${podName} in namespace: ${namespace}`);
+
+    await podService.evictPod(namespace, podName, { gracePeriodSeconds });
+
+    res.json({
+      success: true,
+      message: `Pod ${podName} evicted successfully`,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error(`Failed to evict pod: ${req.params.podName}`, {
+      podName: req.params.podName,
+      namespace: req.params.namespace,
+      error: error.message,
+      stack: error.stack,
+    });
+
+    sendError(res, error);
+  }
+};
+
+export const restartPod = async (req, res) => {
+  try {
+    const { namespace, podName } = req.params;
+    const timeoutSeconds = parseIntegerParam(req.query.timeoutSeconds);
+
+    if (
+      Number.isNaN(timeoutSeconds) ||
+      timeoutSeconds === 0 ||
+      timeoutSeconds > MAX_WAIT_TIMEOUT_SECONDS
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: `timeoutSeconds must be an integer between 1 and ${MAX_WAIT_TIMEOUT_SECONDS}`,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    logger.info(`Restarting pod: ${podName} in namespace: ${namespace}`);
+
+    const result = await podService.restartPod(namespace, podName, {
+      timeoutSeconds,
+    });
+
+    res.json({
+      success: true,
+      data: result,
+      message: `Pod ${podName} replaced by ${result.pod}`,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error(`Failed to restart pod: ${req.params.podName}`, {
+      podName: req.params.podName,
+      namespace: req.params.namespace,
+      error: error.message,
+      stack: error.stack,
+    });
+
+    sendError(res, error);
+  }
+};
+
+export const execInPod = async (req, res) => {
+  try {
+    const { namespace, podName } = req.params;
+    const { command, containerName } = req.body || {};
+    const timeoutSeconds = parseIntegerParam(req.query.timeoutSeconds);
+
+    if (
+      !Array.isArray(command) ||
+      command.length === 0 ||
+      command.some((arg) => typeof arg !== "string")
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: "command must be a non-empty array of strings",
+        timestamp: new Date().toISOString(),
+      });
+    }
+    if (containerName !== undefined && typeof containerName !== "string") {
+      return res.status(400).json({
+        success: false,
+        error: "containerName must be a string",
+        timestamp: new Date().toISOString(),
+      });
+    }
+    if (
+      Number.isNaN(timeoutSeconds) ||
+      timeoutSeconds === 0 ||
+      timeoutSeconds > MAX_WAIT_TIMEOUT_SECONDS
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: `timeoutSeconds must be an integer between 1 and ${MAX_WAIT_TIMEOUT_SECONDS}`,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    logger.info(
+      `Running command in pod: ${podName} in namespace: ${namespace}`,
+      {
+        containerName,
+        command,
+        principal: req.auth?.name,
+      }
+    );
+
+    const result = await podService.execInPod(
+      namespace,
+      podName,
+      containerName,
+      command,
+      { timeoutSeconds }
+    );
+
+    res.json({
+      success: true,
+      data: result,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error(`Failed to exec in pod: ${req.params.podName}`, {
+      podName: req.params.podName,
+      namespace: req.params.namespace,
+      error: error.message,
+      stack: error.stack,
+    });
+
+    sendError(res, error);
+  }
+};
+
+export const listPodFiles = async (req, res) => {
+  try {
+    const { namespace, podName } = req.params;
+    const { containerName, path: dirPath } = req.query;
+
+    if (!dirPath) {
+      return res.status(400).json({
+        success: false,
+        error: "path is required",
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    const listing = await podService.listPodFiles(
+      namespace,
+      podName,
+      containerName,
+      dirPath
+    );
+
+    res.json({
+      success: true,
+      data: listing,
+      count: listing.entries.length,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error(`Failed to list files in pod: ${req.params.podName}`, {
+      podName: req.params.podName,
+      namespace: req.params.namespace,
+      error: error.message,
+      stack: error.stack,
+    });
+    sendError(res, error);
+  }
+};
+
+// Sends a file or directory as a tar archive, like `kubectl cp` does.
+export const downloadPodFiles = async (req, res) => {
+  try {
+    const { namespace, podName } = req.params;
+    const { containerName, path: filePath } = req.query;
+
+    if (!filePath) {
+      return res.status(400).json({
+        success: false,
+        error: "path is required",
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    const stat = await podService.statPodPath(
+      namespace,
+      podName,
+      containerName,
+      filePath
+    );
+    const maxBytes = filesConfig.maxDownloadMb * 1024 * 1024;
+    if (stat.size > maxBytes) {
+      return res.status(413).json({
+        success: false,
+        error: `'${stat.path}' is ${stat.size} bytes, more than the download limit of ${filesConfig.maxDownloadMb} MiB`,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    logger.info(`Downloading ${stat.path} from pod: ${podName}`, {
+      namespace,
+      container: stat.container,
+      size: stat.size,
+      principal: req.auth?.name,
+    });
+
+    res.attachment(`${path.posix.basename(stat.path) || "root"}.tar`);
+    res.type("application/x-tar");
+    await podService.downloadPodFiles(
+      namespace,
+      podName,
+      stat.container,
+      stat.path,
+      res
+    );
+  } catch (error) {
+    logger.error(`Failed to download files from pod: ${req.params.podName}`, {
+      podName: req.params.podName,
+      namespace: req.params.namespace,
+      error: error.message,
+      stack: error.stack,
+    });
+    // Once the archive has started there is no way to report the error;
+    // destroying the response shows the client a failed transfer
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+    res.removeHeader("Content-Disposition");
+    res.removeHeader("Content-Type");
+    sendError(res, error);
+  }
+};
+
+// Writes the request body to a file, or extracts it into a directory when it
+// is sent as application/x-tar.
+export const uploadPodFiles = async (req, res) => {
+  try {
+    const { namespace, podName } = req.params;
+    const { containerName, path: filePath } = req.query;
+    const content = req.body === undefined ? Buffer.alloc(0) : req.body;
+
+    if (!filePath) {
+      return res.status(400).json({
+        success: false,
+        error: "path is required",
+        timestamp: new Date().toISOString(),
+      });
+    }
+    if (!Buffer.isBuffer(content)) {
+      return res.status(400).json({
+        success: false,
+        error:
+          "Send the file content as application/octet-stream, or a tar archive as application/x-tar",
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    const archive = Boolean(req.is("application/x-tar"));
+    logger.info(`Uploading to ${filePath} in pod: ${podName}`, {
+      namespace,
+      containerName,
+      size: content.length,
+      archive,
+      principal: req.auth?.name,
+    });
+
+    const result = await podService.uploadPodFiles(
+      namespace,
+      podName,
+      containerName,
+      filePath,
+      content,
+      { archive }
+    );
+
+    res.json({
+      success: true,
+      data: result,
+      message: archive
+        ? `Archive extracted to ${result.path}`
+        : `File written to ${result.path}`,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error(`Failed to upload files to pod: ${req.params.podName}`, {
+      podName: req.params.podName,
+      namespace: req.params.namespace,
+      error: error.message,
+      stack: error.stack,
+    });
+    sendError(res, error);
+  }
+};
+
+export const debugPod = async (req, res) => {
+  try {
+    const { namespace, podName } = req.params;
+    const { image, targetContainer, name } = req.body || {};
+    const timeoutSeconds = parseIntegerParam(req.query.timeoutSeconds);
+
+    if (
+      Number.isNaN(timeoutSeconds) ||
+      timeoutSeconds === 0 ||
+      timeoutSeconds > MAX_WAIT_TIMEOUT_SECONDS
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: `timeoutSeconds must be an integer between 1 and ${MAX_WAIT_TIMEOUT_SECONDS}`,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    const invalidField = Object.entries({ image, targetContainer, name }).find(
+      ([, value]) => value !== undefined && typeof value !== "string"
+    );
+    if (invalidField) {
+      return res.status(400).json({
+        success: false,
+        error: `${invalidField[0]} must be a string`,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    logger.info(
+      `Adding debug container to pod: ${podName} in namespace: ${namespace}`,
+      { image, targetContainer, name, principal: req.auth?.name }
+    );
+
+    const result = await podService.debugPod(namespace, podName, {
+      image,
+      targetContainer,
+      name,
+      timeoutSeconds,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: result,
+      message: `Debug container ${result.container} is running in pod ${podName}`,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error(`Failed to debug pod: ${req.params.podName}`, {
+      podName: req.params.podName,
+      namespace: req.params.namespace,
+      error: error.message,
+      stack: error.stack,
+    });
+
+    sendError(res, error);
+  }
+};
+
+export const getPodEvents = async (req, res) => {
+  try {
+    const { namespace, podName } = req.params;
+
+    logger.info(
+      `Fetching events of pod: ${podName} in namespace: ${namespace}`
+    );
+
+    const events = await podService.getPodEvents(namespace, podName);
+
+    res.json({
+      success: true,
+      data: events,
+      count: events.length,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error(`Failed to fetch events of pod: ${req.params.podName}`, {
+      podName: req.params.podName,
+      namespace: req.params.namespace,
+      error: error.message,
+      stack: error.stack,
+    });
+
+    sendError(res, error);
+  }
+};
+
+export const diagnosePod = async (req, res) => {
+  try {
+    const { namespace, podName } = req.params;
+
+    logger.info(`Diagnosing pod: ${podName} in namespace: ${namespace}`);
+
+    const diagnosis = await podService.diagnosePod(namespace, podName);
+
+    res.json({
+      success: true,
+      data: diagnosis,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error(`Failed to diagnose pod: ${req.params.podName}`, {
+      podName: req.params.podName,
+      namespace: req.params.namespace,
+      error: error.message,
+      stack: error.stack,
+    });
+
+    sendError(res, error);
+  }
+};
+
 export default {
   getAllPods,
   getPodByName,
   getPodsByNamespace,
   connectToPodTerminal,
+  execInPod,
+  listPodFiles,
+  downloadPodFiles,
+  uploadPodFiles,
   getPodLogs,
   streamPodLogs,
+  deletePod,
+  evictPod,
+  restartPod,
+  debugPod,
+  getPodEvents,
+  diagnosePod,
 };
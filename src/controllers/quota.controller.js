@@ -0,0 +1,200 @@
+import quotaService from "../services/quota.service.js";
+import logger from "../config/logger.js";
+import { sendError } from "../utils/k8s.errors.js";
+
+export const getResourceQuotas = async (req, res) => {
+  try {
+    const { namespace } = req.params;
+
+    logger.info(`Fetching resource quotas in namespace: ${namespace}`);
+    const quotas = await quotaService.getResourceQuotas(namespace);
+
+    res.json({
+      success: true,
+      data: quotas,
+      count: quotas.length,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Failed to fetch resource quotas", {
+      namespace: req.params.namespace,
+      error: error.message,
+      stack: error.stack,
+    });
+    sendError(res, error);
+  }
+};
+
+export const getResourceQuota = async (req, res) => {
+  try {
+    const { namespace, name } = req.params;
+
+    logger.info(`Fetching resource quota: ${name} in namespace: ${namespace}`);
+    const quota = await quotaService.getResourceQuota(name, namespace);
+
+    res.json({
+      success: true,
+      data: quota,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error(`Failed to fetch resource quota: ${req.params.name}`, {
+      namespace: req.params.namespace,
+      error: error.message,
+      stack: error.stack,
+    });
+    sendError(res, error);
+  }
+};
+
+export const createResourceQuota = async (req, res) => {
+  try {
+    const { namespace } = req.params;
+
+    logger.info(`Creating resource quota in namespace: ${namespace}`);
+    const quota = await quotaService.createResourceQuota(namespace, req.body);
+
+    res.status(201).json({
+      success: true,
+      data: quota,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Failed to create resource quota", {
+      namespace: req.params.namespace,
+      error: error.message,
+      stack: error.stack,
+    });
+    sendError(res, error);
+  }
+};
+
+export const updateResourceQuota = async (req, res) => {
+  try {
+    const { namespace, name } = req.params;
+
+    logger.info(`Replacing resource quota: ${name} in namespace: ${namespace}`);
+    const quota = await quotaService.updateResourceQuota(
+      name,
+      namespace,
+      req.body
+    );
+
+    res.json({
+      success: true,
+      data: quota,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error(`Failed to replace resource quota: ${req.params.name}`, {
+      namespace: req.params.namespace,
+      error: error.message,
+      stack: error.stack,
+    });
+    sendError(res, error);
+  }
+};
+
+export const getLimitRanges = async (req, res) => {
+  try {
+    const { namespace } = req.params;
+
+    logger.info(`Fetching limit ranges in namespace: ${namespace}`);
+    const limitRanges = await quotaService.getLimitRanges(namespace);
+
+    res.json({
+      success: true,
+      data: limitRanges,
+      count: limitRanges.length,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Failed to fetch limit ranges", {
+      namespace: req.params.namespace,
+      error: error.message,
+      stack: error.stack,
+    });
+    sendError(res, error);
+  }
+};
+
+export const getLimitRange = async (req, res) => {
+  try {
+    const { namespace, name } = req.params;
+
+    logger.info(`Fetching limit range: ${name} in namespace: ${namespace}`);
+    const limitRange = await quotaService.getLimitRange(name, namespace);
+
+    res.json({
+      success: true,
+      data: limitRange,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error(`Failed to fetch limit range: ${req.params.name}`, {
+      namespace: req.params.namespace,
+      error: error.message,
+      stack: error.stack,
+    });
+    sendError(res, error);
+  }
+};
+
+export const createLimitRange = async (req, res) => {
+  try {
+    const { namespace } = req.params;
+
+    logger.info(`Creating limit range in namespace: ${namespace}`);
+    const limitRange = await quotaService.createLimitRange(namespace, req.body);
+
+    res.status(201).json({
+      success: true,
+      data: limitRange,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Failed to create limit range", {
+      namespace: req.params.namespace,
+      error: error.message,
+      stack: error.stack,
+    });
+    sendError(res, error);
+  }
+};
+
+export const updateLimitRange = async (req, res) => {
+  try {
+    const { namespace, name } = req.params;
+
+    logger.info(`Replacing limit range: ${name} in namespace: ${namespace}`);
+    const limitRange = await quotaService.updateLimitRange(
+      name,
+      namespace,
+      req.body
+    );
+
+    res.json({
+      success: true,
+      data: limitRange,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error(`Failed to replace limit range: ${req.params.name}`, {
+      namespace: req.params.namespace,
+      error: error.message,
+      stack: error.stack,
+    });
+    sendError(res, error);
+  }
+};
+
+export default {
+  getResourceQuotas,
+  getResourceQuota,
+  createResourceQuota,
+  updateResourceQuota,
+  getLimitRanges,
+  getLimitRange,
+  createLimitRange,
+  updateLimitRange,
+};
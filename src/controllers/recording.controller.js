@@ -0,0 +1,85 @@
+import recordingService from "../services/recording.service.js";
+import logger from "../config/logger.js";
+import { sendError } from "../utils/k8s.errors.js";
+
+export const listRecordings = async (req, res) => {
+  try {
+    const { namespace, pod, user } = req.query;
+
+    logger.info("Fetching terminal recordings", { namespace, pod, user });
+
+    const recordings = await recordingService.listRecordings({
+      namespace,
+      pod,
+      user,
+    });
+
+    res.json({
+      success: true,
+      data: recordings,
+      count: recordings.length,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Failed to fetch terminal recordings", {
+      error: error.message,
+      stack: error.stack,
+    });
+    sendError(res, error);
+  }
+};
+
+export const getRecording = async (req, res) => {
+  try {
+    const recording = await recordingService.getRecording(req.params.id);
+
+    res.json({
+      success: true,
+      data: recording,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Failed to fetch terminal recording", {
+      id: req.params.id,
+      error: error.message,
+      stack: error.stack,
+    });
+    sendError(res, error);
+  }
+};
+
+export const downloadRecording = async (req, res) => {
+  try {
+    const { recording, stream } = await recordingService.openRecording(
+      req.params.id
+    );
+
+    logger.info(`Downloading terminal recording ${recording.id}`, {
+      principal: req.auth?.name,
+    });
+
+    res.attachment(`${recording.id}.cast`);
+    res.type("application/x-asciicast");
+    stream.on("error", (error) => {
+      logger.error("Failed to read terminal recording", {
+        id: recording.id,
+        error: error.message,
+      });
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    logger.error("Failed to download terminal recording", {
+      id: req.params.id,
+      error: error.message,
+      stack: error.stack,
+    });
+    sendError(res, error);
+  }
+};
+
+export default {
+  listRecordings,
+  getRecording,
+  downloadRecording,
+};
@@ -1,5 +1,8 @@
 import serviceService from "../services/service.service.js";
+import portForwardService from "../services/portforward.service.js";
 import logger from "../config/logger.js";
+import { filterByNamespace } from "../services/auth.service.js";
+import { sendError, toHttpError } from "../utils/k8s.errors.js";
 
 export const getAllServices = async (req, res) => {
   try {
@@ -9,7 +12,11 @@ export const getAllServices = async (req, res) => {
       namespace: namespace || "all namespaces",
     });
 
-    const services = await serviceService.getAllServices(namespace);
+    const services = filterByNamespace(
+      req.auth,
+      await serviceService.getAllServices(namespace),
+      (item) => item.metadata?.namespace
+    );
 
     logger.info(`Successfully retrieved ${services.length} services`);
     res.json({
@@ -41,6 +48,282 @@ export const getAllServices = async (req, res) => {
   }
 };
 
+export const getServiceByName = async (req, res) => {
+  const { name } = req.params;
+  const { namespace = "default" } = req.query;
+
+  try {
+    logger.info(`Fetching service: ${name} in namespace: ${namespace}`);
+
+    const service = await serviceService.getServiceByName(name, namespace);
+
+    res.json({
+      success: true,
+      data: service,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error(`Failed to fetch service: ${name}`, {
+      serviceName: name,
+      namespace: namespace,
+      error: error.message,
+    });
+    sendError(
+      res,
+      toHttpError(error, { action: "read", kind: "Service", name, namespace })
+    );
+  }
+};
+
+export const createService = async (req, res) => {
+  const { namespace = "default" } = req.query;
+  const body = req.body;
+
+  try {
+    if (!body || typeof body !== "object" || !body.spec) {
+      return res.status(400).json({
+        success: false,
+        error: "Service manifest with a spec is required in the request body",
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    logger.info(
+      `Creating service: ${body.metadata?.name} in namespace: ${namespace}`
+    );
+
+    const service = await serviceService.createService(namespace, {
+      ...body,
+      metadata: { ...body.metadata, namespace },
+    });
+
+    res.status(201).json({
+      success: true,
+      data: service,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Failed to create service", {
+      namespace: namespace,
+      error: error.message,
+    });
+    sendError(
+      res,
+      toHttpError(error, {
+        action: "create",
+        kind: "Service",
+        name: null,
+        namespace,
+      })
+    );
+  }
+};
+
+export const updateService = async (req, res) => {
+  const { name } = req.params;
+  const { namespace = "default" } = req.query;
+  const body = req.body;
+
+  try {
+    if (!body || typeof body !== "object" || !body.spec) {
+      return res.status(400).json({
+        success: false,
+        error: "Service manifest with a spec is required in the request body",
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    if (body.metadata?.name && body.metadata.name !== name) {
+      return res.status(400).json({
+        success: false,
+        error: `Service name in body '${body.metadata.name}' does not match '${name}'`,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    logger.info(`Replacing service: ${name} in namespace: ${namespace}`);
+
+    const service = await serviceService.updateService(name, namespace, body);
+
+    res.json({
+      success: true,
+      data: service,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error(`Failed to replace service: ${name}`, {
+      serviceName: name,
+      namespace: namespace,
+      error: error.message,
+    });
+    sendError(
+      res,
+      toHttpError(error, {
+        action: "replace",
+        kind: "Service",
+        name,
+        namespace,
+      })
+    );
+  }
+};
+
+export const deleteService = async (req, res) => {
+  const { name } = req.params;
+  const { namespace = "default" } = req.query;
+
+  try {
+    logger.info(`Deleting service: ${name} in namespace: ${namespace}`);
+
+    await serviceService.deleteService(name, namespace);
+
+    res.json({
+      success: true,
+      message: `Service ${name} deleted successfully`,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error(`Failed to delete service: ${name}`, {
+      serviceName: name,
+      namespace: namespace,
+      error: error.message,
+    });
+    sendError(
+      res,
+      toHttpError(error, { action: "delete", kind: "Service", name, namespace })
+    );
+  }
+};
+
+export const getServiceEndpoints = async (req, res) => {
+  const { name } = req.params;
+  const { namespace = "default" } = req.query;
+
+  try {
+    logger.info(
+      `Fetching endpoints of service: ${name} in namespace: ${namespace}`
+    );
+
+    const endpoints = await serviceService.getServiceEndpoints(name, namespace);
+
+    res.json({
+      success: true,
+      data: endpoints,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error(`Failed to fetch endpoints of service: ${name}`, {
+      serviceName: name,
+      namespace: namespace,
+      error: error.message,
+    });
+    sendError(
+      res,
+      toHttpError(error, {
+        action: "read endpoints of",
+        kind: "Service",
+        name,
+        namespace,
+      })
+    );
+  }
+};
+
+export const getAllServiceEndpoints = async (req, res) => {
+  const { namespace = "default", unhealthy } = req.query;
+
+  try {
+    logger.info(`Fetching endpoints of services in namespace: ${namespace}`);
+
+    let services = await serviceService.getAllServiceEndpoints(namespace);
+    if (unhealthy === "true") {
+      services = services.filter((service) => !service.healthy);
+    }
+
+    res.json({
+      success: true,
+      data: services,
+      count: services.length,
+      namespace: namespace,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Failed to fetch endpoints of services", {
+      namespace: namespace,
+      error: error.message,
+    });
+    sendError(
+      res,
+      toHttpError(error, {
+        action: "list endpoints of",
+        kind: "Service",
+        name: null,
+        namespace,
+      })
+    );
+  }
+};
+
+// Path and query string to request from the service: everything after
+// ".../proxy", without this API's access token.
+const getProxiedPath = (originalUrl) => {
+  const url = new URL(originalUrl, "http://localhost");
+  if (url.searchParams.has("access_token")) {
+    url.searchParams.delete("access_token");
+  }
+  const path = url.pathname.replace(/^.*?\/services\/[^/]+\/proxy/, "");
+  return `${path || "/"}${url.search}`;
+};
+
+// Tunnels an HTTP request to a service port, like the Kubernetes API's
+// service proxy. The service is given as "name" or "name:port".
+export const proxyServiceRequest = async (req, res) => {
+  const { namespace } = req.params;
+  const [serviceName, port] = req.params.name.split(":");
+  const path = getProxiedPath(req.originalUrl);
+
+  try {
+    logger.info(`Proxying ${req.method} ${path} to service: ${serviceName}`, {
+      namespace,
+      port,
+      principal: req.auth?.name,
+    });
+
+    await portForwardService.proxyServiceRequest(
+      req,
+      res,
+      namespace,
+      serviceName,
+      port,
+      path
+    );
+  } catch (error) {
+    logger.error(`Failed to proxy request to service: ${serviceName}`, {
+      namespace,
+      port,
+      error: error.message,
+      stack: error.stack,
+    });
+
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+    res.status(error.statusCode || 502).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    });
+  }
+};
+
 export default {
   getAllServices,
+  getServiceByName,
+  createService,
+  updateService,
+  deleteService,
+  getServiceEndpoints,
+  getAllServiceEndpoints,
+  proxyServiceRequest,
 };
@@ -0,0 +1,104 @@
+import {
+  authenticateRequest,
+  hasRole,
+  canAccessNamespace,
+  isNamespaceScoped,
+} from "../services/auth.service.js";
+import logger from "../config/logger.js";
+
+export const authenticate = (req, res, next) => {
+  const principal = authenticateRequest(req);
+
+  if (!principal) {
+    logger.warn(`Unauthenticated request rejected: ${req.method} ${req.path}`, {
+      method: req.method,
+      path: req.path,
+      ip: req.ip,
+    });
+    return res.status(401).json({
+      success: false,
+      error: "Authentication required",
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  req.auth = principal;
+  next();
+};
+
+export const authorize = (requiredRole) => (req, res, next) => {
+  if (!hasRole(req.auth, requiredRole)) {
+    logger.warn(`Forbidden request rejected: ${req.method} ${req.path}`, {
+      method: req.method,
+      path: req.path,
+      principal: req.auth?.name,
+      role: req.auth?.role,
+      requiredRole: requiredRole,
+    });
+    return res.status(403).json({
+      success: false,
+      error: `Insufficient permissions: requires role '${requiredRole}'`,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  next();
+};
+
+const defaultNamespaceResolver = (req) =>
+  req.params.namespace || req.query.namespace;
+
+// Rejects requests that target a namespace outside the caller's scope.
+// Routes that fall back to the "default" namespace pass fallback: "default"
+// so an omitted namespace is checked too; list routes leave it unset and
+// filter their results instead.
+export const authorizeNamespace =
+  ({ resolve = defaultNamespaceResolver, fallback = null } = {}) =>
+  (req, res, next) => {
+    const namespace = resolve(req) || fallback;
+
+    if (namespace && !canAccessNamespace(req.auth, namespace)) {
+      logger.warn(
+        `Cross-namespace request rejected: ${req.method} ${req.path}`,
+        {
+          method: req.method,
+          path: req.path,
+          principal: req.auth?.name,
+          namespace: namespace,
+        }
+      );
+      return res.status(403).json({
+        success: false,
+        error: `Access to namespace '${namespace}' is not allowed`,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    next();
+  };
+
+// Cluster-scoped resources (nodes, clusters, node metrics) are only visible
+// to callers that are not restricted to a set of namespaces.
+export const requireClusterScope = (req, res, next) => {
+  if (isNamespaceScoped(req.auth)) {
+    logger.warn(`Cluster-scoped request rejected: ${req.method} ${req.path}`, {
+      method: req.method,
+      path: req.path,
+      principal: req.auth?.name,
+    });
+    return res.status(403).json({
+      success: false,
+      error: "Access to cluster-scoped resources is not allowed",
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  next();
+};
+
+export default {
+  authenticate,
+  authorize,
+  authorizeNamespace,
+  requireClusterScope,
+};
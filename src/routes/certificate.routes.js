@@ -0,0 +1,34 @@
+import express from "express";
+import certificateController from "../controllers/certificate.controller.js";
+import {
+  authorize,
+  authorizeNamespace,
+} from "../middleware/auth.middleware.js";
+import { ROLES } from "../config/auth.js";
+
+const router = express.Router();
+
+router.get(
+  "/",
+  authorizeNamespace(),
+  certificateController.getIngressCertificates
+);
+router.get(
+  "/:name",
+  authorizeNamespace({ fallback: "default" }),
+  certificateController.getCertificate
+);
+router.put(
+  "/:name",
+  authorize(ROLES.OPERATOR),
+  authorizeNamespace({ fallback: "default" }),
+  certificateController.uploadCertificate
+);
+router.post(
+  "/:name/request",
+  authorize(ROLES.OPERATOR),
+  authorizeNamespace({ fallback: "default" }),
+  certificateController.requestCertificate
+);
+
+export default router;
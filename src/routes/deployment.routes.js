@@ -1,13 +1,85 @@
 import express from "express";
 import deploymentController from "../controllers/deployment.controller.js";
+import {
+  authorize,
+  authorizeNamespace,
+} from "../middleware/auth.middleware.js";
+import { ROLES } from "../config/auth.js";
 
 const router = express.Router();
 
-router.get("/", deploymentController.getAllDeployments);
-router.post("/", deploymentController.createDeployment);
-router.get("/:name", deploymentController.getDeploymentByName);
-router.get("/:name/logs/stream", deploymentController.streamDeploymentLogs);
-router.get("/:name/pods", deploymentController.getDeploymentPods);
-router.post("/:name/restart", deploymentController.restartDeployment);
+router.get("/", authorizeNamespace(), deploymentController.getAllDeployments);
+router.post(
+  "/",
+  authorize(ROLES.OPERATOR),
+  authorizeNamespace({ fallback: "default" }),
+  deploymentController.createDeployment
+);
+router.get(
+  "/:name",
+  authorizeNamespace({ fallback: "default" }),
+  deploymentController.getDeploymentByName
+);
+router.put(
+  "/:name",
+  authorize(ROLES.OPERATOR),
+  authorizeNamespace({ fallback: "default" }),
+  deploymentController.updateDeployment
+);
+router.patch(
+  "/:name",
+  authorize(ROLES.OPERATOR),
+  authorizeNamespace({ fallback: "default" }),
+  deploymentController.patchDeployment
+);
+router.delete(
+  "/:name",
+  authorize(ROLES.OPERATOR),
+  authorizeNamespace({ fallback: "default" }),
+  deploymentController.deleteDeployment
+);
+router.get(
+  "/:name/logs/stream",
+  authorizeNamespace({ fallback: "default" }),
+  deploymentController.streamDeploymentLogs
+);
+router.get(
+  "/:name/rollout/stream",
+  authorizeNamespace({ fallback: "default" }),
+  deploymentController.streamDeploymentRollout
+);
+router.get(
+  "/:name/pods",
+  authorizeNamespace({ fallback: "default" }),
+  deploymentController.getDeploymentPods
+);
+router.post(
+  "/:name/restart",
+  authorize(ROLES.OPERATOR),
+  authorizeNamespace({ fallback: "default" }),
+  deploymentController.restartDeployment
+);
+router.get(
+  "/:name/rollout",
+  authorizeNamespace({ fallback: "default" }),
+  deploymentController.getDeploymentRolloutStatus
+);
+router.get(
+  "/:name/history",
+  authorizeNamespace({ fallback: "default" }),
+  deploymentController.getDeploymentHistory
+);
+router.post(
+  "/:name/rollback",
+  authorize(ROLES.OPERATOR),
+  authorizeNamespace({ fallback: "default" }),
+  deploymentController.rollbackDeployment
+);
+router.post(
+  "/:name/scale",
+  authorize(ROLES.OPERATOR),
+  authorizeNamespace({ fallback: "default" }),
+  deploymentController.scaleDeployment
+);
 
 export default router;
@@ -1,8 +1,43 @@
 import express from "express";
 import ingressController from "../controllers/ingress.controller.js";
+import certificateController from "../controllers/certificate.controller.js";
+import {
+  authorize,
+  authorizeNamespace,
+} from "../middleware/auth.middleware.js";
+import { ROLES } from "../config/auth.js";
 
 const router = express.Router();
 
-router.get("/", ingressController.getAllIngresses);
+router.get("/", authorizeNamespace(), ingressController.getAllIngresses);
+router.post(
+  "/",
+  authorize(ROLES.OPERATOR),
+  authorizeNamespace({ fallback: "default" }),
+  ingressController.createIngress
+);
+router.get(
+  "/:name",
+  authorizeNamespace({ fallback: "default" }),
+  ingressController.getIngressByName
+);
+router.put(
+  "/:name",
+  authorize(ROLES.OPERATOR),
+  authorizeNamespace({ fallback: "default" }),
+  ingressController.updateIngress
+);
+router.delete(
+  "/:name",
+  authorize(ROLES.OPERATOR),
+  authorizeNamespace({ fallback: "default" }),
+  ingressController.deleteIngress
+);
+router.put(
+  "/:name/tls",
+  authorize(ROLES.OPERATOR),
+  authorizeNamespace({ fallback: "default" }),
+  certificateController.attachCertificate
+);
 
 export default router;
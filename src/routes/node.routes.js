@@ -2,9 +2,18 @@ import express from "express";
 import nodeController from "../controllers/node.controller.js";
 import metricsController from "../controllers/metrics.controller.js";
 import podController from "../controllers/pod.controller.js";
+import serviceController from "../controllers/service.controller.js";
 import clusterController from "../controllers/cluster.controller.js";
 import namespaceController from "../controllers/namespace.controller.js";
+import quotaController from "../controllers/quota.controller.js";
 import logger from "../config/logger.js";
+import {
+  authorize,
+  authorizeNamespace,
+  requireClusterScope,
+} from "../middleware/auth.middleware.js";
+import { ROLES } from "../config/auth.js";
+import filesConfig from "../config/files.js";
 import { KubeConfig } from "@kubernetes/client-node";
 
 const router = express.Router();
@@ -43,34 +52,199 @@ router.get("/health", (req, res) => {
 });
 
 // Cluster routes
-router.get("/clusters", clusterController.getAllClusters);
-router.get("/clusters/:name", clusterController.getClusterByName);
+router.get("/clusters", requireClusterScope, clusterController.getAllClusters);
+router.get(
+  "/clusters/:name",
+  requireClusterScope,
+  clusterController.getClusterByName
+);
 
 // Namespace routes
 router.get("/namespaces", namespaceController.getAllNamespaces);
-router.get("/namespaces/:name", namespaceController.getNamespaceByName);
+router.get(
+  "/namespaces/:name",
+  authorizeNamespace({ resolve: (req) => req.params.name }),
+  namespaceController.getNamespaceByName
+);
+router.get(
+  "/namespaces/:name/summary",
+  authorizeNamespace({ resolve: (req) => req.params.name }),
+  namespaceController.getNamespaceSummary
+);
+router.post(
+  "/namespaces",
+  authorize(ROLES.ADMIN),
+  requireClusterScope,
+  namespaceController.createNamespace
+);
+router.patch(
+  "/namespaces/:name",
+  authorize(ROLES.ADMIN),
+  requireClusterScope,
+  namespaceController.patchNamespaceLabels
+);
+router.delete(
+  "/namespaces/:name",
+  authorize(ROLES.ADMIN),
+  requireClusterScope,
+  namespaceController.deleteNamespace
+);
 
-router.get("/nodes", nodeController.getAllNodes);
-router.get("/nodes/:name", nodeController.getNodeByName);
+// Quota routes; changing limits is reserved for unscoped admins so tenants
+// cannot raise their own
+router.get(
+  "/namespaces/:namespace/resourcequotas",
+  authorizeNamespace(),
+  quotaController.getResourceQuotas
+);
+router.get(
+  "/namespaces/:namespace/resourcequotas/:name",
+  authorizeNamespace(),
+  quotaController.getResourceQuota
+);
+router.post(
+  "/namespaces/:namespace/resourcequotas",
+  authorize(ROLES.ADMIN),
+  requireClusterScope,
+  quotaController.createResourceQuota
+);
+router.put(
+  "/namespaces/:namespace/resourcequotas/:name",
+  authorize(ROLES.ADMIN),
+  requireClusterScope,
+  quotaController.updateResourceQuota
+);
+router.get(
+  "/namespaces/:namespace/limitranges",
+  authorizeNamespace(),
+  quotaController.getLimitRanges
+);
+router.get(
+  "/namespaces/:namespace/limitranges/:name",
+  authorizeNamespace(),
+  quotaController.getLimitRange
+);
+router.post(
+  "/namespaces/:namespace/limitranges",
+  authorize(ROLES.ADMIN),
+  requireClusterScope,
+  quotaController.createLimitRange
+);
+router.put(
+  "/namespaces/:namespace/limitranges/:name",
+  authorize(ROLES.ADMIN),
+  requireClusterScope,
+  quotaController.updateLimitRange
+);
+
+router.get("/nodes", requireClusterScope, nodeController.getAllNodes);
+router.get("/nodes/:name", requireClusterScope, nodeController.getNodeByName);
 
 // Metrics routes
-router.get("/metrics/nodes", metricsController.getAllNodeMetrics);
-router.get("/metrics/nodes/:name", metricsController.getNodeMetricsByName);
+router.get(
+  "/metrics/nodes",
+  requireClusterScope,
+  metricsController.getAllNodeMetrics
+);
+router.get(
+  "/metrics/nodes/:name",
+  requireClusterScope,
+  metricsController.getNodeMetricsByName
+);
 
 // Pod routes
-router.get("/pods", podController.getAllPods);
-router.get("/pods/:name", podController.getPodByName);
-router.get("/namespaces/:namespace/pods", podController.getPodsByNamespace);
+router.get("/pods", authorizeNamespace(), podController.getAllPods);
+router.get(
+  "/pods/:name",
+  authorizeNamespace({ fallback: "default" }),
+  podController.getPodByName
+);
+router.get(
+  "/namespaces/:namespace/pods",
+  authorizeNamespace(),
+  podController.getPodsByNamespace
+);
+router.delete(
+  "/namespaces/:namespace/pods/:podName",
+  authorize(ROLES.OPERATOR),
+  authorizeNamespace(),
+  podController.deletePod
+);
+router.post(
+  "/namespaces/:namespace/pods/:podName/evict",
+  authorize(ROLES.OPERATOR),
+  authorizeNamespace(),
+  podController.evictPod
+);
+router.post(
+  "/namespaces/:namespace/pods/:podName/restart",
+  authorize(ROLES.OPERATOR),
+  authorizeNamespace(),
+  podController.restartPod
+);
+router.post(
+  "/namespaces/:namespace/pods/:podName/exec",
+  authorize(ROLES.OPERATOR),
+  authorizeNamespace(),
+  podController.execInPod
+);
+router.get(
+  "/namespaces/:namespace/pods/:podName/files",
+  authorize(ROLES.OPERATOR),
+  authorizeNamespace(),
+  podController.downloadPodFiles
+);
+router.get(
+  "/namespaces/:namespace/pods/:podName/files/list",
+  authorize(ROLES.OPERATOR),
+  authorizeNamespace(),
+  podController.listPodFiles
+);
+router.put(
+  "/namespaces/:namespace/pods/:podName/files",
+  authorize(ROLES.OPERATOR),
+  authorizeNamespace(),
+  // Every content type is taken as raw bytes
+  express.raw({ type: () => true, limit: `${filesConfig.maxUploadMb}mb` }),
+  podController.uploadPodFiles
+);
+router.post(
+  "/namespaces/:namespace/pods/:podName/debug",
+  authorize(ROLES.OPERATOR),
+  authorizeNamespace(),
+  podController.debugPod
+);
+router.get(
+  "/namespaces/:namespace/pods/:podName/events",
+  authorizeNamespace(),
+  podController.getPodEvents
+);
+router.get(
+  "/namespaces/:namespace/pods/:podName/diagnose",
+  authorizeNamespace(),
+  podController.diagnosePod
+);
+// Service proxy: "name" or "name:port", any method and path below /proxy
+router.all(
+  "/namespaces/:namespace/services/:name/proxy{/*path}",
+  authorize(ROLES.OPERATOR),
+  authorizeNamespace(),
+  serviceController.proxyServiceRequest
+);
 router.get(
   "/namespaces/:namespace/pods/:podName/terminal",
+  authorize(ROLES.OPERATOR),
+  authorizeNamespace(),
   podController.connectToPodTerminal
 );
 router.get(
   "/namespaces/:namespace/pods/:podName/logs",
+  authorizeNamespace(),
   podController.getPodLogs
 );
 router.get(
   "/namespaces/:namespace/pods/:podName/logs/stream",
+  authorizeNamespace(),
   podController.streamPodLogs
 );
 
@@ -0,0 +1,18 @@
+import express from "express";
+import recordingController from "../controllers/recording.controller.js";
+import {
+  authorize,
+  requireClusterScope,
+} from "../middleware/auth.middleware.js";
+import { ROLES } from "../config/auth.js";
+
+const router = express.Router();
+
+// Terminal recordings span all namespaces and are for auditors only
+router.use(authorize(ROLES.ADMIN), requireClusterScope);
+
+router.get("/", recordingController.listRecordings);
+router.get("/:id", recordingController.getRecording);
+router.get("/:id/download", recordingController.downloadRecording);
+
+export default router;
@@ -1,8 +1,46 @@
 import express from "express";
 import serviceController from "../controllers/service.controller.js";
+import {
+  authorize,
+  authorizeNamespace,
+} from "../middleware/auth.middleware.js";
+import { ROLES } from "../config/auth.js";
 
 const router = express.Router();
 
-router.get("/", serviceController.getAllServices);
+router.get("/", authorizeNamespace(), serviceController.getAllServices);
+router.post(
+  "/",
+  authorize(ROLES.OPERATOR),
+  authorizeNamespace({ fallback: "default" }),
+  serviceController.createService
+);
+router.get(
+  "/endpoints",
+  authorizeNamespace({ fallback: "default" }),
+  serviceController.getAllServiceEndpoints
+);
+router.get(
+  "/:name",
+  authorizeNamespace({ fallback: "default" }),
+  serviceController.getServiceByName
+);
+router.put(
+  "/:name",
+  authorize(ROLES.OPERATOR),
+  authorizeNamespace({ fallback: "default" }),
+  serviceController.updateService
+);
+router.delete(
+  "/:name",
+  authorize(ROLES.OPERATOR),
+  authorizeNamespace({ fallback: "default" }),
+  serviceController.deleteService
+);
+router.get(
+  "/:name/endpoints",
+  authorizeNamespace({ fallback: "default" }),
+  serviceController.getServiceEndpoints
+);
 
 export default router;
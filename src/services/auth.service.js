@@ -0,0 +1,171 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import authConfig, { ROLES, ROLE_LEVELS } from "../config/auth.js";
+import logger from "../config/logger.js";
+
+const ANONYMOUS_PRINCIPAL = {
+  name: "anonymous",
+  role: ROLES.ADMIN,
+  type: "anonymous",
+};
+
+const hashKey = (value) => crypto.createHash("sha256").update(value).digest();
+
+// Keys are compared by hash so the comparison is constant-time regardless of
+// key length.
+const apiKeyHashes = authConfig.apiKeys.map((entry) => ({
+  hash: hashKey(entry.key),
+  entry,
+}));
+
+// Picks the token from the Authorization header, the X-API-Key header, or -
+// for WebSocket clients that cannot set headers - the access_token query
+// parameter.
+export const extractToken = (req) => {
+  const authorization = req.headers?.authorization;
+  if (authorization && /^Bearer\s+/i.test(authorization)) {
+    return authorization.replace(/^Bearer\s+/i, "").trim();
+  }
+
+  if (req.headers?.["x-api-key"]) {
+    return String(req.headers["x-api-key"]).trim();
+  }
+
+  const { searchParams } = new URL(req.url, "http://localhost");
+  return searchParams.get("access_token");
+};
+
+// A principal without a namespace list is cluster-wide; an empty list grants
+// no namespace at all.
+const normalizeNamespaces = (namespaces) => {
+  if (namespaces === undefined || namespaces === null) {
+    return null;
+  }
+  return (Array.isArray(namespaces) ? namespaces : [namespaces])
+    .map((namespace) => String(namespace).trim())
+    .filter(Boolean);
+};
+
+const authenticateApiKey = (token) => {
+  const tokenHash = hashKey(token);
+  const match = apiKeyHashes.find(({ hash }) =>
+    crypto.timingSafeEqual(hash, tokenHash)
+  );
+  if (!match) {
+    return null;
+  }
+
+  return {
+    name: match.entry.name || "api-key",
+    role: match.entry.role,
+    type: "apiKey",
+    namespaces: normalizeNamespaces(match.entry.namespaces),
+  };
+};
+
+// The role comes from the "role" claim, or the highest known role listed in
+// a "roles" claim.
+const getRoleFromClaims = (claims) => {
+  const candidates = [claims.role, ...(claims.roles || [])].filter(
+    (role) => ROLE_LEVELS[role]
+  );
+  if (candidates.length === 0) {
+    return null;
+  }
+  return candidates.reduce((highest, role) =>
+    ROLE_LEVELS[role] > ROLE_LEVELS[highest] ? role : highest
+  );
+};
+
+const authenticateJwt = (token) => {
+  if (!authConfig.jwt) {
+    return null;
+  }
+
+  let claims;
+  try {
+    claims = jwt.verify(token, authConfig.jwt.key, {
+      algorithms: authConfig.jwt.algorithms,
+      issuer: authConfig.jwt.issuer,
+      audience: authConfig.jwt.audience,
+    });
+  } catch (error) {
+    logger.warn("JWT verification failed", { error: error.message });
+    return null;
+  }
+
+  const role = getRoleFromClaims(claims);
+  if (!role) {
+    logger.warn("JWT does not carry a known role", { subject: claims.sub });
+    return null;
+  }
+
+  return {
+    name: claims.sub || "jwt",
+    role,
+    type: "jwt",
+    namespaces: normalizeNamespaces(claims.namespaces),
+  };
+};
+
+// Resolves the caller of an HTTP or upgrade request. Returns null when the
+// request carries no valid credentials.
+export const authenticateRequest = (req) => {
+  if (!authConfig.enabled) {
+    return ANONYMOUS_PRINCIPAL;
+  }
+
+  const token = extractToken(req);
+  if (!token) {
+    return null;
+  }
+
+  return authenticateApiKey(token) || authenticateJwt(token);
+};
+
+export const hasRole = (principal, requiredRole) => {
+  if (!principal) {
+    return false;
+  }
+  return (ROLE_LEVELS[principal.role] || 0) >= ROLE_LEVELS[requiredRole];
+};
+
+export const isNamespaceScoped = (principal) =>
+  Array.isArray(principal?.namespaces);
+
+export const canAccessNamespace = (principal, namespace) => {
+  if (!principal) {
+    return false;
+  }
+  if (!isNamespaceScoped(principal)) {
+    return true;
+  }
+  if (!namespace) {
+    return false;
+  }
+  return principal.namespaces.some((allowed) =>
+    allowed.endsWith("*")
+      ? namespace.startsWith(allowed.slice(0, -1))
+      : namespace === allowed
+  );
+};
+
+// Drops the items of a cluster-wide listing that live outside the caller's
+// namespaces.
+export const filterByNamespace = (principal, items, getNamespace) => {
+  if (!isNamespaceScoped(principal)) {
+    return items;
+  }
+  return items.filter((item) =>
+    canAccessNamespace(principal, getNamespace(item))
+  );
+};
+
+export default {
+  extractToken,
+  authenticateRequest,
+  hasRole,
+  isNamespaceScoped,
+  canAccessNamespace,
+  filterByNamespace,
+};
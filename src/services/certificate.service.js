@@ -0,0 +1,587 @@
+import crypto from "crypto";
+import {
+  KubeConfig,
+  CoreV1Api,
+  CustomObjectsApi,
+} from "@kubernetes/client-node";
+import logger from "../config/logger.js";
+import { getStatusCode, httpError, toHttpError } from "../utils/k8s.errors.js";
+import { getIngressByName, updateIngress } from "./ingress.service.js";
+
+const kubeConfig = new KubeConfig();
+kubeConfig.loadFromDefault();
+
+const coreV1Api = kubeConfig.makeApiClient(CoreV1Api);
+const customObjectsApi = kubeConfig.makeApiClient(CustomObjectsApi);
+
+const TLS_SECRET_TYPE = "kubernetes.io/tls";
+
+// cert-manager Certificate resources, used when the CRD is installed
+const CERT_MANAGER = {
+  group: "cert-manager.io",
+  version: "v1",
+  plural: "certificates",
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toCertificateError = (error, action, kind, name, namespace) =>
+  toHttpError(error, { action, kind, name, namespace });
+
+const parseCertificate = (pem) => {
+  try {
+    return new crypto.X509Certificate(pem);
+  } catch {
+    return null;
+  }
+};
+
+// DNS names of a certificate, from its subject alternative names or, for
+// certificates without any, its common name.
+const getDnsNames = (x509) => {
+  const dnsNames = (x509.subjectAltName || "")
+    .split(/,\s*/)
+    .filter((entry) => entry.startsWith("DNS:"))
+    .map((entry) => entry.slice(4).toLowerCase());
+  if (dnsNames.length > 0) {
+    return dnsNames;
+  }
+  const commonName = x509.subject.match(/^CN=(.*)$/m)?.[1];
+  return commonName ? [commonName.toLowerCase()] : [];
+};
+
+// Whether a DNS name of a certificate covers a host; a wildcard covers
+// exactly one label.
+export const coversHost = (dnsNames, host) => {
+  const target = host.toLowerCase();
+  return dnsNames.some(
+    (name) =>
+      name === target ||
+      (name.startsWith("*.") &&
+        target.endsWith(name.slice(1)) &&
+        !target.slice(0, -(name.length - 1)).includes("."))
+  );
+};
+
+const describeCertificate = (x509, expiringWithinDays) => {
+  const notAfter = new Date(x509.validTo);
+  const daysRemaining = Math.floor((notAfter.getTime() - Date.now()) / DAY_MS);
+
+  return {
+    subject: x509.subject.replace(/\n/g, ", "),
+    commonName: x509.subject.match(/^CN=(.*)$/m)?.[1] || null,
+    dnsNames: getDnsNames(x509),
+    issuer: x509.issuer.replace(/\n/g, ", "),
+    serialNumber: x509.serialNumber,
+    fingerprint256: x509.fingerprint256,
+    notBefore: new Date(x509.validFrom).toISOString(),
+    notAfter: notAfter.toISOString(),
+    daysRemaining: daysRemaining,
+    expired: notAfter.getTime() <= Date.now(),
+    expiringSoon: daysRemaining < expiringWithinDays,
+  };
+};
+
+const transformCertManagerCertificate = (certificate) => {
+  const ready = (certificate.status?.conditions || []).find(
+    (condition) => condition.type === "Ready"
+  );
+  return {
+    name: certificate.metadata?.name,
+    ready: ready?.status === "True",
+    message: ready?.message,
+    issuerRef: certificate.spec?.issuerRef,
+    dnsNames: certificate.spec?.dnsNames || [],
+    notAfter: certificate.status?.notAfter,
+    renewalTime: certificate.status?.renewalTime,
+  };
+};
+
+// cert-manager Certificates of a namespace, or null when cert-manager is
+// not installed. Reports pass `ignoreForbidden` so that TLS secrets are still
+// listed, without the cert-manager details, when the API's service account
+// may not read Certificates.
+const listCertManagerCertificates = async (
+  namespace,
+  { ignoreForbidden = false } = {}
+) => {
+  try {
+    const res = await customObjectsApi.listNamespacedCustomObject({
+      ...CERT_MANAGER,
+      namespace,
+    });
+    return (res.body || res).items || [];
+  } catch (error) {
+    const statusCode = getStatusCode(error);
+    if (statusCode === 404 || (ignoreForbidden && statusCode === 403)) {
+      return null;
+    }
+    if (statusCode === 403) {
+      throw httpError(
+        `Not allowed to list cert-manager Certificates in namespace '${namespace}'`,
+        403
+      );
+    }
+    throw error;
+  }
+};
+
+const readTlsSecret = async (name, namespace) => {
+  try {
+    const res = await coreV1Api.readNamespacedSecret({ name, namespace });
+    return res.body || res;
+  } catch (error) {
+    if (getStatusCode(error) === 404) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+const decodeSecretCertificate = (secret) => {
+  const data = secret?.data?.["tls.crt"];
+  return data ? parseCertificate(Buffer.from(data, "base64")) : null;
+};
+
+// Details of the certificate in a TLS secret, along with the cert-manager
+// Certificate that manages it, if any. `hosts` are checked against the
+// certificate's DNS names.
+const describeSecret = (
+  secret,
+  certManagerCertificate,
+  hosts,
+  expiringWithinDays
+) => {
+  const x509 = decodeSecretCertificate(secret);
+  let details = null;
+  let error = null;
+
+  if (!secret) {
+    error = certManagerCertificate
+      ? "Secret not issued yet"
+      : "Secret does not exist";
+  } else if (secret.type !== TLS_SECRET_TYPE) {
+    error = `Secret is of type ${secret.type}, not ${TLS_SECRET_TYPE}`;
+  } else if (!x509) {
+    error = "Secret does not hold a valid certificate";
+  } else {
+    details = describeCertificate(x509, expiringWithinDays);
+  }
+
+  return {
+    ...details,
+    hostsNotCovered: details
+      ? hosts.filter((host) => !coversHost(details.dnsNames, host))
+      : [],
+    certManager: certManagerCertificate
+      ? transformCertManagerCertificate(certManagerCertificate)
+      : null,
+    error: error,
+  };
+};
+
+// Certificate details of every TLS secret referenced by the given ingresses,
+// one entry per namespace and secret with the ingresses and hosts using it.
+export const getIngressCertificates = async (
+  ingresses,
+  { expiringWithinDays = 30 } = {}
+) => {
+  try {
+    const references = new Map();
+    for (const ingress of ingresses) {
+      const namespace = ingress.metadata?.namespace;
+      for (const tls of ingress.spec?.tls || []) {
+        if (!tls.secretName) {
+          continue;
+        }
+        const key = `${namespace}/${tls.secretName}`;
+        const reference = references.get(key) || {
+          namespace,
+          secretName: tls.secretName,
+          ingresses: [],
+          hosts: new Set(),
+        };
+        reference.ingresses.push(ingress.metadata?.name);
+        (tls.hosts || []).forEach((host) => reference.hosts.add(host));
+        references.set(key, reference);
+      }
+    }
+
+    const namespaces = [
+      ...new Set([...references.values()].map((ref) => ref.namespace)),
+    ];
+    const certManagerByNamespace = Object.fromEntries(
+      await Promise.all(
+        namespaces.map(async (namespace) => [
+          namespace,
+          (await listCertManagerCertificates(namespace, {
+            ignoreForbidden: true,
+          })) || [],
+        ])
+      )
+    );
+
+    const certificates = await Promise.all(
+      [...references.values()].map(async (reference) => {
+        const secret = await readTlsSecret(
+          reference.secretName,
+          reference.namespace
+        );
+        const certManagerCertificate = certManagerByNamespace[
+          reference.namespace
+        ].find(
+          (certificate) => certificate.spec?.secretName === reference.secretName
+        );
+        const hosts = [...reference.hosts];
+
+        return {
+          namespace: reference.namespace,
+          secretName: reference.secretName,
+          ingresses: [...new Set(reference.ingresses)],
+          hosts: hosts,
+          ...describeSecret(
+            secret,
+            certManagerCertificate,
+            hosts,
+            expiringWithinDays
+          ),
+        };
+      })
+    );
+
+    logger.info(
+      `Successfully described ${certificates.length} ingress certificates`
+    );
+    return certificates.sort(
+      (a, b) => (a.daysRemaining ?? Infinity) - (b.daysRemaining ?? Infinity)
+    );
+  } catch (error) {
+    logger.error(`Failed to describe ingress certificates: ${error.message}`, {
+      error: error.message,
+      stack: error.stack,
+    });
+    throw toCertificateError(error, "describe", "ingress certificates");
+  }
+};
+
+// Details of the certificate in one TLS secret.
+export const getCertificate = async (
+  name,
+  namespace = "default",
+  { expiringWithinDays = 30 } = {}
+) => {
+  try {
+    const secret = await readTlsSecret(name, namespace);
+    if (!secret) {
+      throw httpError(
+        `TLS secret '${name}' not found in namespace '${namespace}'`,
+        404
+      );
+    }
+    const certManagerCertificate = (
+      (await listCertManagerCertificates(namespace, {
+        ignoreForbidden: true,
+      })) || []
+    ).find((certificate) => certificate.spec?.secretName === name);
+
+    return {
+      namespace: namespace,
+      secretName: name,
+      ...describeSecret(secret, certManagerCertificate, [], expiringWithinDays),
+    };
+  } catch (error) {
+    logger.error(`Failed to describe certificate ${name}: ${error.message}`, {
+      secretName: name,
+      namespace: namespace,
+      error: error.message,
+      stack: error.stack,
+    });
+    throw toCertificateError(error, "describe", "TLS secret", name, namespace);
+  }
+};
+
+// Stores a certificate and its private key (PEM) as a kubernetes.io/tls
+// secret, replacing the certificate of an existing TLS secret. The pair is
+// checked first: the key must match and the certificate must not be expired.
+export const uploadCertificate = async (
+  name,
+  namespace = "default",
+  { certificate, privateKey, caCertificate } = {}
+) => {
+  try {
+    if (typeof certificate !== "string" || typeof privateKey !== "string") {
+      throw httpError(
+        "certificate and privateKey are required as PEM strings",
+        400
+      );
+    }
+
+    const x509 = parseCertificate(certificate);
+    if (!x509) {
+      throw httpError("certificate is not a valid PEM certificate", 400);
+    }
+    let key;
+    try {
+      key = crypto.createPrivateKey(privateKey);
+    } catch {
+      throw httpError("privateKey is not a valid PEM private key", 400);
+    }
+    if (!x509.checkPrivateKey(key)) {
+      throw httpError("privateKey does not match the certificate", 400);
+    }
+    if (new Date(x509.validTo).getTime() <= Date.now()) {
+      throw httpError(`certificate expired on ${x509.validTo}`, 400);
+    }
+    if (caCertificate !== undefined && !parseCertificate(caCertificate)) {
+      throw httpError("caCertificate is not a valid PEM certificate", 400);
+    }
+
+    const data = {
+      "tls.crt": Buffer.from(certificate).toString("base64"),
+      "tls.key": Buffer.from(privateKey).toString("base64"),
+    };
+    if (caCertificate) {
+      data["ca.crt"] = Buffer.from(caCertificate).toString("base64");
+    }
+
+    const existing = await readTlsSecret(name, namespace);
+    if (existing && existing.type !== TLS_SECRET_TYPE) {
+      throw httpError(
+        `Secret '${name}' exists and is not a ${TLS_SECRET_TYPE} secret`,
+        409
+      );
+    }
+
+    const body = {
+      apiVersion: "v1",
+      kind: "Secret",
+      type: TLS_SECRET_TYPE,
+      metadata: { ...existing?.metadata, name, namespace },
+      data: data,
+    };
+
+    logger.debug(
+      `Calling Kubernetes API to ${
+        existing ? "replace" : "create"
+      } TLS secret: ${name} in namespace: ${namespace}`
+    );
+    const res = existing
+      ? await coreV1Api.replaceNamespacedSecret({ name, namespace, body })
+      : await coreV1Api.createNamespacedSecret({ namespace, body });
+
+    logger.info(`Successfully stored TLS secret: ${name}`);
+    return {
+      created: !existing,
+      certificate: {
+        namespace: namespace,
+        secretName: name,
+        ...describeSecret(res.body || res, null, [], 30),
+      },
+    };
+  } catch (error) {
+    logger.error(`Failed to store TLS secret ${name}: ${error.message}`, {
+      secretName: name,
+      namespace: namespace,
+      error: error.message,
+    });
+    throw toCertificateError(error, "store", "TLS secret", name, namespace);
+  }
+};
+
+// Requests a certificate from cert-manager: creates a Certificate that makes
+// cert-manager issue the certificate into the secret `name` and renew it.
+export const requestCertificate = async (
+  name,
+  namespace = "default",
+  { dnsNames, issuerRef } = {}
+) => {
+  try {
+    if (
+      !Array.isArray(dnsNames) ||
+      dnsNames.length === 0 ||
+      dnsNames.some((dnsName) => typeof dnsName !== "string")
+    ) {
+      throw httpError("dnsNames must be a non-empty array", 400);
+    }
+    if (!issuerRef?.name) {
+      throw httpError("issuerRef.name is required", 400);
+    }
+
+    if ((await listCertManagerCertificates(namespace)) === null) {
+      throw httpError(
+        "cert-manager is not installed in the cluster (no Certificate CRD)",
+        400
+      );
+    }
+
+    logger.debug(
+      `Calling Kubernetes API to create cert-manager Certificate: ${name} in namespace: ${namespace}`
+    );
+    const res = await customObjectsApi.createNamespacedCustomObject({
+      ...CERT_MANAGER,
+      namespace,
+      body: {
+        apiVersion: `${CERT_MANAGER.group}/${CERT_MANAGER.version}`,
+        kind: "Certificate",
+        metadata: { name, namespace },
+        spec: {
+          secretName: name,
+          dnsNames: dnsNames,
+          issuerRef: {
+            name: issuerRef.name,
+            kind: issuerRef.kind || "ClusterIssuer",
+            group: issuerRef.group || CERT_MANAGER.group,
+          },
+        },
+      },
+    });
+
+    logger.info(`Successfully requested certificate: ${name}`);
+    return transformCertManagerCertificate(res.body || res);
+  } catch (error) {
+    logger.error(`Failed to request certificate ${name}: ${error.message}`, {
+      secretName: name,
+      namespace: namespace,
+      error: error.message,
+    });
+    throw toCertificateError(error, "request", "certificate", name, namespace);
+  }
+};
+
+// Returns the `tls` entries of an ingress with `hosts` served by
+// `secretName`: the hosts are merged into the secret's entry and removed from
+// the others. An entry is only dropped when it lost its last host, so an
+// entry without hosts (the ingress controller's default certificate) stays.
+export const moveTlsHosts = (entries, secretName, hosts) => {
+  const previous = entries.find(
+    (entry) => entry.secretName === secretName && entry.hosts?.length > 0
+  );
+  const tls = entries
+    .filter((entry) => entry !== previous)
+    .map((entry) => {
+      if (!entry.hosts?.length) {
+        return entry;
+      }
+      const remaining = entry.hosts.filter((host) => !hosts.includes(host));
+      return remaining.length > 0 ? { ...entry, hosts: remaining } : null;
+    })
+    .filter(Boolean);
+
+  tls.push({
+    secretName: secretName,
+    hosts: [...new Set([...(previous?.hosts || []), ...hosts])],
+  });
+  return tls;
+};
+
+// Adds a TLS secret to an ingress's `tls` section for the given hosts (by
+// default all hosts of the ingress), moving them out of other entries. The
+// certificate must cover every host; a secret that cert-manager has not
+// issued yet is checked against the Certificate's DNS names instead.
+export const attachCertificate = async (
+  ingressName,
+  namespace = "default",
+  { secretName, hosts } = {}
+) => {
+  try {
+    if (!secretName) {
+      throw httpError("secretName is required", 400);
+    }
+
+    const ingress = await getIngressByName(ingressName, namespace);
+    const ingressHosts = [
+      ...new Set(
+        (ingress.spec?.rules || []).map((rule) => rule.host).filter(Boolean)
+      ),
+    ];
+    const tlsHosts = hosts || ingressHosts;
+    if (!Array.isArray(tlsHosts) || tlsHosts.length === 0) {
+      throw httpError(
+        "hosts is required for an ingress without host rules",
+        400
+      );
+    }
+    const unknownHosts = tlsHosts.filter(
+      (host) => !ingressHosts.includes(host)
+    );
+    if (unknownHosts.length > 0) {
+      throw httpError(
+        `Ingress '${ingressName}' has no rules for: ${unknownHosts.join(", ")}`,
+        400
+      );
+    }
+
+    const secret = await readTlsSecret(secretName, namespace);
+    let dnsNames;
+    if (secret) {
+      const x509 = decodeSecretCertificate(secret);
+      if (secret.type !== TLS_SECRET_TYPE || !x509) {
+        throw httpError(
+          `Secret '${secretName}' is not a ${TLS_SECRET_TYPE} secret with a valid certificate`,
+          400
+        );
+      }
+      dnsNames = getDnsNames(x509);
+    } else {
+      const certManagerCertificate = (
+        (await listCertManagerCertificates(namespace)) || []
+      ).find((certificate) => certificate.spec?.secretName === secretName);
+      if (!certManagerCertificate) {
+        throw httpError(
+          `TLS secret '${secretName}' not found in namespace '${namespace}'`,
+          404
+        );
+      }
+      dnsNames = (certManagerCertificate.spec?.dnsNames || []).map((dnsName) =>
+        dnsName.toLowerCase()
+      );
+    }
+
+    const uncovered = tlsHosts.filter((host) => !coversHost(dnsNames, host));
+    if (uncovered.length > 0) {
+      throw httpError(
+        `Certificate in '${secretName}' does not cover: ${uncovered.join(
+          ", "
+        )}`,
+        400
+      );
+    }
+
+    const tls = moveTlsHosts(ingress.spec?.tls || [], secretName, tlsHosts);
+
+    const updated = await updateIngress(ingressName, namespace, {
+      ...ingress,
+      spec: { ...ingress.spec, tls },
+    });
+
+    logger.info(
+      `Attached TLS secret ${secretName} to ingress ${ingressName} for ${tlsHosts.join(
+        ", "
+      )}`
+    );
+    return updated;
+  } catch (error) {
+    logger.error(
+      `Failed to attach TLS secret ${secretName} to ingress ${ingressName}: ${error.message}`,
+      {
+        namespace: namespace,
+        error: error.message,
+      }
+    );
+    throw toCertificateError(
+      error,
+      "update",
+      "Ingress",
+      ingressName,
+      namespace
+    );
+  }
+};
+
+export default {
+  getIngressCertificates,
+  getCertificate,
+  uploadCertificate,
+  requestCertificate,
+  attachCertificate,
+};
@@ -1,8 +1,40 @@
-import { KubeConfig, AppsV1Api, CoreV1Api } from "@kubernetes/client-node";
+import {
+  KubeConfig,
+  AppsV1Api,
+  CoreV1Api,
+  PatchStrategy,
+  setHeaderOptions,
+} from "@kubernetes/client-node";
 import logger from "../config/logger.js";
-import { streamPodLogs } from "./pod/pod.interaction.js";
-import { createService } from "./service.service.js";
-import { createIngress } from "./ingress.service.js";
+import {
+  getStatusCode,
+  getApiErrorMessage,
+  httpError,
+  toHttpError,
+} from "../utils/k8s.errors.js";
+import { closeWebSocket } from "../utils/ws.close.js";
+import { toLabelSelector } from "../utils/k8s.selectors.js";
+import { streamAggregatedLogs } from "./deployment/deployment.logs.js";
+import { endLogStream } from "./pod/pod.logs.js";
+import { streamRolloutEvents } from "./deployment/deployment.watch.js";
+import { transformDeploymentData } from "./deployment/deployment.transformer.js";
+import {
+  getRolloutStatus,
+  getRolloutHistory,
+  rollbackDeployment as rollbackToRevision,
+} from "./deployment/deployment.rollout.js";
+import {
+  createService,
+  getServiceByName,
+  getServicesByLabel,
+  deleteService,
+} from "./service.service.js";
+import {
+  createIngress,
+  getIngressByName,
+  getIngressesByLabel,
+  deleteIngress,
+} from "./ingress.service.js";
 
 const kubeConfig = new KubeConfig();
 kubeConfig.loadFromDefault();
@@ -10,6 +42,30 @@ kubeConfig.loadFromDefault();
 const appsV1Api = kubeConfig.makeApiClient(AppsV1Api);
 const coreV1Api = kubeConfig.makeApiClient(CoreV1Api);
 
+// Label put on the Service and Ingress created together with a Deployment,
+// so they can be found again for cascading deletion.
+const COMPANION_LABEL = "k3s-manager/deployment";
+
+const withCompanionLabel = (body, deploymentName) => ({
+  ...body,
+  metadata: {
+    ...body.metadata,
+    labels: {
+      ...body.metadata?.labels,
+      [COMPANION_LABEL]: deploymentName,
+    },
+  },
+});
+
+const toDeploymentError = (error, action, name, namespace) =>
+  toHttpError(error, {
+    action,
+    kind: "deployment",
+    name,
+    namespace,
+    notFound: `Deployment '${name}' not found in namespace '${namespace}'`,
+  });
+
 export const getAllDeployments = async (namespace = null) => {
   try {
     logger.debug("Calling Kubernetes API to list all deployments", {
@@ -57,7 +113,7 @@ export const getAllDeployments = async (namespace = null) => {
       );
     }
 
-    if (error.statusCode === 404 && namespace) {
+    if (getStatusCode(error) === 404 && namespace) {
       throw new Error(`Namespace '${namespace}' not found`);
     }
 
@@ -111,7 +167,7 @@ export const getDeploymentByName = async (name, namespace = "default") => {
       kubeConfigContext: kubeConfig.getCurrentContext(),
     });
 
-    if (error.statusCode === 404) {
+    if (getStatusCode(error) === 404) {
       throw new Error(
         `Deployment '${name}' not found in namespace '${namespace}'`
       );
@@ -130,9 +186,7 @@ export const getDeploymentByName = async (name, namespace = "default") => {
 export const getDeploymentPods = async (name, namespace = "default") => {
   try {
     const deployment = await getDeploymentByName(name, namespace);
-    const labelSelector = Object.entries(deployment.spec.selector.matchLabels)
-      .map(([key, value]) => `${key}=${value}`)
-      .join(",");
+    const labelSelector = toLabelSelector(deployment.spec.selector);
 
     const res = await coreV1Api.listNamespacedPod({
       namespace,
@@ -159,23 +213,20 @@ export const getDeploymentPods = async (name, namespace = "default") => {
 export const streamDeploymentLogs = async (
   clientWs,
   namespace,
-  deploymentName
+  deploymentName,
+  options = {}
 ) => {
   try {
-    const pods = await getDeploymentPods(deploymentName, namespace);
-    if (pods.length === 0) {
-      throw new Error(`No pods found for deployment ${deploymentName}`);
-    }
-    // For simplicity, we'll stream logs from the first pod.
-    // A more robust solution might involve aggregating logs from all pods.
-    const pod = pods[0];
-    return streamPodLogs(
+    const deployment = await getDeploymentByName(deploymentName, namespace);
+    const labelSelector = toLabelSelector(deployment.spec.selector);
+
+    return await streamAggregatedLogs(
       clientWs,
       kubeConfig,
       coreV1Api,
       namespace,
-      pod.metadata.name,
-      pod.spec.containers[0].name
+      labelSelector,
+      options
     );
   } catch (error) {
     logger.error(
@@ -187,54 +238,201 @@ export const streamDeploymentLogs = async (
         stack: error.stack,
       }
     );
+    endLogStream(
+      clientWs,
+      options.format,
+      `Error setting up log stream: ${error.message}`,
+      1011
+    );
+  }
+};
+
+export const streamDeploymentRollout = async (
+  clientWs,
+  namespace,
+  deploymentName
+) => {
+  try {
+    const deployment = await getDeploymentByName(deploymentName, namespace);
+    const labelSelector = toLabelSelector(deployment.spec.selector);
+
+    return await streamRolloutEvents(
+      clientWs,
+      kubeConfig,
+      appsV1Api,
+      coreV1Api,
+      deployment,
+      labelSelector
+    );
+  } catch (error) {
+    logger.error(
+      `Failed to stream rollout for deployment ${deploymentName}: ${error.message}`,
+      {
+        deploymentName: deploymentName,
+        namespace: namespace,
+        error: error.message,
+        stack: error.stack,
+      }
+    );
     if (clientWs.readyState === clientWs.OPEN) {
-      clientWs.close(1011, `Error setting up log stream: ${error.message}`);
+      closeWebSocket(
+        clientWs,
+        1011,
+        `Error setting up rollout stream: ${error.message}`
+      );
     }
   }
 };
+
+// Deletes the objects created so far, newest first. Objects that were adopted
+// are never part of `created` and are left untouched.
+const rollbackCreated = async (created, objects, namespace) => {
+  for (const step of [...created].reverse()) {
+    const name = step.body.metadata?.name;
+    try {
+      await step.remove(name);
+      objects[step.key].status = "rolledBack";
+      logger.info(`Rolled back ${step.key}: ${name}`);
+    } catch (error) {
+      objects[step.key].status = "rollbackFailed";
+      objects[step.key].error = getApiErrorMessage(error);
+      logger.error(`Failed to roll back ${step.key}: ${name}`, {
+        namespace: namespace,
+        error: error.message,
+        stack: error.stack,
+      });
+    }
+  }
+};
+
+// Creates the Deployment, then the optional Service and Ingress, reporting
+// the outcome for each object in `objects`.
+//  - atomic: on failure, objects created by this call are deleted again in
+//    reverse order, so the call either creates everything or nothing.
+//  - adopt: an object that already exists (409) is adopted as-is instead of
+//    failing, which makes re-running a partially failed create idempotent.
+// On failure the thrown error carries `objects` and the API `statusCode`.
 export const createDeployment = async (
   namespace,
   deploymentBody,
   serviceBody,
-  ingressBody
+  ingressBody,
+  { atomic = false, adopt = false } = {}
 ) => {
-  try {
-    logger.debug(
-      `Calling Kubernetes API to create deployment in namespace: ${namespace}`
-    );
+  const deploymentName = deploymentBody.metadata?.name;
 
-    const deployment = await appsV1Api.createNamespacedDeployment({
-      namespace,
+  const steps = [
+    {
+      key: "deployment",
       body: deploymentBody,
-    });
-    logger.info(`Successfully created deployment`);
-
-    let service;
-    if (serviceBody) {
-      service = await createService(namespace, serviceBody);
-      logger.info(`Successfully created service`);
+      create: async (body) => {
+        const res = await appsV1Api.createNamespacedDeployment({
+          namespace,
+          body,
+        });
+        return res.body || res;
+      },
+      read: async (name) => {
+        const res = await appsV1Api.readNamespacedDeployment({
+          name,
+          namespace,
+        });
+        return res.body || res;
+      },
+      remove: (name) =>
+        appsV1Api.deleteNamespacedDeployment({
+          name,
+          namespace,
+          propagationPolicy: "Background",
+        }),
+    },
+    {
+      key: "service",
+      body: serviceBody && withCompanionLabel(serviceBody, deploymentName),
+      create: (body) => createService(namespace, body),
+      read: (name) => getServiceByName(name, namespace),
+      remove: (name) => deleteService(name, namespace),
+    },
+    {
+      key: "ingress",
+      body: ingressBody && withCompanionLabel(ingressBody, deploymentName),
+      create: (body) => createIngress(namespace, body),
+      read: (name) => getIngressByName(name, namespace),
+      remove: (name) => deleteIngress(name, namespace),
+    },
+  ];
+
+  const objects = {};
+  const result = {};
+  const created = [];
+
+  steps.forEach(({ key, body }) => {
+    objects[key] = body
+      ? { name: body.metadata?.name, status: "notAttempted" }
+      : { status: "notRequested" };
+  });
+
+  logger.debug(
+    `Calling Kubernetes API to create deployment in namespace: ${namespace}`,
+    { atomic, adopt }
+  );
+
+  for (const step of steps) {
+    if (!step.body) {
+      continue;
     }
 
-    let ingress;
-    if (ingressBody) {
-      ingress = await createIngress(namespace, ingressBody);
-      logger.info(`Successfully created ingress`);
-    }
+    const name = step.body.metadata?.name;
+    try {
+      result[step.key] = await step.create(step.body);
+      objects[step.key].status = "created";
+      created.push(step);
+      logger.info(`Successfully created ${step.key}: ${name}`);
+    } catch (createError) {
+      let error = createError;
+      if (adopt && getStatusCode(error) === 409) {
+        try {
+          result[step.key] = await step.read(name);
+          objects[step.key].status = "adopted";
+          logger.info(`Adopted existing ${step.key}: ${name}`);
+          continue;
+        } catch (readError) {
+          // A conflict other than an existing object (e.g. an ingress host
+          // routed by another namespace) leaves nothing to adopt
+          error = getStatusCode(readError) === 404 ? createError : readError;
+        }
+      }
 
-    return {
-      deployment: deployment.body,
-      service: service,
-      ingress: ingress,
-    };
-  } catch (error) {
-    logger.error(`Failed to create deployment: ${error.message}`, {
-      namespace: namespace,
-      error: error.message,
-      stack: error.stack,
-    });
-    throw error;
+      objects[step.key].status = "failed";
+      objects[step.key].error = getApiErrorMessage(error);
+      logger.error(`Failed to create ${step.key}: ${error.message}`, {
+        namespace: namespace,
+        name: name,
+        error: error.message,
+        stack: error.stack,
+      });
+
+      if (atomic) {
+        await rollbackCreated(created, objects, namespace);
+      }
+
+      const wrapped = httpError(
+        `Failed to create ${step.key} '${name}': ${getApiErrorMessage(error)}`,
+        getStatusCode(error)
+      );
+      wrapped.objects = objects;
+      throw wrapped;
+    }
   }
+
+  return {
+    deployment: result.deployment,
+    service: result.service,
+    ingress: result.ingress,
+    objects: objects,
+  };
 };
+
 export const restartDeployment = async (name, namespace = "default") => {
   try {
     logger.debug(
@@ -277,11 +475,257 @@ export const restartDeployment = async (name, namespace = "default") => {
   }
 };
 
+export const updateDeployment = async (name, namespace = "default", body) => {
+  try {
+    logger.debug(
+      `Calling Kubernetes API to replace deployment: ${name} in namespace: ${namespace}`
+    );
+
+    const res = await appsV1Api.replaceNamespacedDeployment({
+      name,
+      namespace,
+      body: {
+        ...body,
+        metadata: { ...body?.metadata, name, namespace },
+      },
+    });
+
+    logger.info(`Successfully replaced deployment: ${name}`);
+    return transformDeploymentData(res.body || res);
+  } catch (error) {
+    logger.error(`Failed to replace deployment ${name}: ${error.message}`, {
+      deploymentName: name,
+      namespace: namespace,
+      error: error.message,
+      stack: error.stack,
+    });
+    throw toDeploymentError(error, "replace", name, namespace);
+  }
+};
+
+export const patchDeployment = async (
+  name,
+  namespace = "default",
+  patch,
+  patchType = PatchStrategy.StrategicMergePatch
+) => {
+  try {
+    logger.debug(
+      `Calling Kubernetes API to patch deployment: ${name} in namespace: ${namespace}`,
+      { patchType }
+    );
+
+    const res = await appsV1Api.patchNamespacedDeployment(
+      { name, namespace, body: patch },
+      setHeaderOptions("Content-Type", patchType)
+    );
+
+    logger.info(`Successfully patched deployment: ${name}`);
+    return transformDeploymentData(res.body || res);
+  } catch (error) {
+    logger.error(`Failed to patch deployment ${name}: ${error.message}`, {
+      deploymentName: name,
+      namespace: namespace,
+      error: error.message,
+      stack: error.stack,
+    });
+    throw toDeploymentError(error, "patch", name, namespace);
+  }
+};
+
+export const scaleDeployment = async (
+  name,
+  namespace = "default",
+  replicas
+) => {
+  try {
+    logger.debug(
+      `Calling Kubernetes API to scale deployment: ${name} in namespace: ${namespace} to ${replicas} replicas`
+    );
+
+    await appsV1Api.patchNamespacedDeploymentScale(
+      { name, namespace, body: { spec: { replicas } } },
+      setHeaderOptions("Content-Type", PatchStrategy.MergePatch)
+    );
+    const deployment = await appsV1Api.readNamespacedDeployment({
+      name,
+      namespace,
+    });
+
+    logger.info(`Successfully scaled deployment: ${name} to ${replicas}`);
+    return transformDeploymentData(deployment.body || deployment);
+  } catch (error) {
+    logger.error(`Failed to scale deployment ${name}: ${error.message}`, {
+      deploymentName: name,
+      namespace: namespace,
+      replicas: replicas,
+      error: error.message,
+      stack: error.stack,
+    });
+    throw toDeploymentError(error, "scale", name, namespace);
+  }
+};
+
+// Deletes a companion object, treating one that is already gone as done.
+const deleteCompanion = async (deleteFn, object, namespace) => {
+  try {
+    await deleteFn(object.metadata.name, namespace);
+    return true;
+  } catch (error) {
+    if (getStatusCode(error) === 404) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+// Deletes a deployment. With cascade, the Service and Ingress created
+// alongside it by createDeployment are deleted as well. Once the deployment
+// is gone a failure to delete its companions no longer fails the call; it is
+// returned as `companionError` next to what was deleted.
+export const deleteDeployment = async (
+  name,
+  namespace = "default",
+  { cascade = false } = {}
+) => {
+  try {
+    logger.debug(
+      `Calling Kubernetes API to delete deployment: ${name} in namespace: ${namespace}`,
+      { cascade }
+    );
+
+    const existing = await appsV1Api.readNamespacedDeployment({
+      name,
+      namespace,
+    });
+
+    await appsV1Api.deleteNamespacedDeployment({
+      name,
+      namespace,
+      propagationPolicy: "Background",
+    });
+    logger.info(`Successfully deleted deployment: ${name}`);
+
+    const deleted = { services: [], ingresses: [] };
+    let companionError = null;
+    if (cascade) {
+      const labelSelector = `${COMPANION_LABEL}=${name}`;
+
+      try {
+        const services = await getServicesByLabel(namespace, labelSelector);
+        for (const service of services) {
+          if (await deleteCompanion(deleteService, service, namespace)) {
+            deleted.services.push(service.metadata.name);
+          }
+        }
+
+        const ingresses = await getIngressesByLabel(namespace, labelSelector);
+        for (const ingress of ingresses) {
+          if (await deleteCompanion(deleteIngress, ingress, namespace)) {
+            deleted.ingresses.push(ingress.metadata.name);
+          }
+        }
+      } catch (error) {
+        companionError = `Failed to delete the companions of deployment ${name}: ${getApiErrorMessage(
+          error
+        )}`;
+        logger.warn(companionError, {
+          deploymentName: name,
+          namespace: namespace,
+          deleted: deleted,
+        });
+      }
+    }
+
+    return {
+      deployment: transformDeploymentData(existing.body || existing),
+      deleted: deleted,
+      companionError: companionError,
+    };
+  } catch (error) {
+    logger.error(`Failed to delete deployment ${name}: ${error.message}`, {
+      deploymentName: name,
+      namespace: namespace,
+      error: error.message,
+      stack: error.stack,
+    });
+    throw toDeploymentError(error, "delete", name, namespace);
+  }
+};
+
+export const getDeploymentRolloutStatus = async (
+  name,
+  namespace = "default"
+) => {
+  const deployment = await getDeploymentByName(name, namespace);
+  return getRolloutStatus(deployment);
+};
+
+export const getDeploymentHistory = async (name, namespace = "default") => {
+  const deployment = await getDeploymentByName(name, namespace);
+  try {
+    return await getRolloutHistory(
+      appsV1Api,
+      deployment,
+      toLabelSelector(deployment.spec.selector)
+    );
+  } catch (error) {
+    logger.error(`Failed to get history of deployment ${name}`, {
+      deploymentName: name,
+      namespace: namespace,
+      error: error.message,
+      stack: error.stack,
+    });
+    throw toDeploymentError(error, "get history of", name, namespace);
+  }
+};
+
+export const rollbackDeployment = async (
+  name,
+  namespace = "default",
+  revision = null
+) => {
+  const deployment = await getDeploymentByName(name, namespace);
+  try {
+    const result = await rollbackToRevision(
+      appsV1Api,
+      deployment,
+      toLabelSelector(deployment.spec.selector),
+      revision
+    );
+    return {
+      deployment: transformDeploymentData(result.deployment),
+      revision: result.revision,
+      skipped: result.skipped,
+    };
+  } catch (error) {
+    logger.error(`Failed to roll back deployment ${name}: ${error.message}`, {
+      deploymentName: name,
+      namespace: namespace,
+      revision: revision,
+      error: error.message,
+      stack: error.stack,
+    });
+    if (error.message.includes("not found")) {
+      throw error;
+    }
+    throw toDeploymentError(error, "roll back", name, namespace);
+  }
+};
+
 export default {
   getAllDeployments,
   getDeploymentByName,
   getDeploymentPods,
   streamDeploymentLogs,
+  streamDeploymentRollout,
   restartDeployment,
   createDeployment,
+  updateDeployment,
+  patchDeployment,
+  scaleDeployment,
+  deleteDeployment,
+  getDeploymentRolloutStatus,
+  getDeploymentHistory,
+  rollbackDeployment,
 };
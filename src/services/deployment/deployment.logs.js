@@ -0,0 +1,232 @@
+import { Watch } from "@kubernetes/client-node";
+import logger from "../../config/logger.js";
+import { followContainerLogs, createLogSession } from "../pod/pod.logs.js";
+
+const WATCH_RESTART_DELAY_MS = 1000;
+
+const getContainerState = (pod, containerName) =>
+  pod.status?.containerStatuses?.find((c) => c.name === containerName)?.state ||
+  {};
+
+// Multiplexes the logs of every container of every pod matched by
+// labelSelector onto the client WebSocket, prefixing each line with
+// "[pod/container]". Pods are tracked with a watch, so replicas created during
+// a rollout are attached as soon as their containers start and streams of
+// deleted pods are detached. Filtering and control messages are handled by
+// the log session; a tailLines change re-attaches every container from the
+// new tail.
+export const streamAggregatedLogs = async (
+  clientWs,
+  kubeConfig,
+  coreV1Api,
+  namespace,
+  labelSelector,
+  { tailLines = 100, filter = {}, format = "text" } = {}
+) => {
+  const watch = new Watch(kubeConfig);
+  // key -> { handle } of the stream attached to that container
+  const streams = new Map();
+  const endedAt = new Map();
+  let watchController = null;
+  let restartTimer = null;
+  let closed = false;
+
+  const attach = async (pod, containerName, fromTail) => {
+    const podName = pod.metadata.name;
+    const key = `${podName}/${containerName}`;
+    // Waiting containers have no logs yet and the API rejects the request.
+    // A terminated container is read once; after that only a restart (which
+    // brings it back to running) is worth re-attaching to.
+    const state = getContainerState(pod, containerName);
+    if (
+      streams.has(key) ||
+      !(state.running || (state.terminated && !endedAt.has(key)))
+    ) {
+      return;
+    }
+
+    // Containers that were already running when the client connected start
+    // from the tail; new containers and re-attachments after a restart start
+    // where the previous stream left off so nothing is lost or repeated.
+    const logOptions = { timestamps: session.timestamps };
+    if (endedAt.has(key)) {
+      logOptions.sinceTime = endedAt.get(key);
+    } else if (fromTail) {
+      logOptions.tailLines = session.tailLines;
+    }
+
+    const entry = { handle: null };
+    streams.set(key, entry);
+    logger.info(`Attaching to logs of ${key} in namespace: ${namespace}`);
+
+    try {
+      const handle = await followContainerLogs(
+        kubeConfig,
+        namespace,
+        podName,
+        containerName,
+        {
+          logOptions,
+          onLine: (line) =>
+            session.write(line, { pod: podName, container: containerName }),
+          onEnd: () => {
+            // A stream that was detached or replaced has nothing to record
+            if (streams.get(key) !== entry) {
+              return;
+            }
+            logger.info(`Log stream ended for ${key}`);
+            streams.delete(key);
+            endedAt.set(key, new Date().toISOString());
+            session.event("detached", {
+              pod: podName,
+              container: containerName,
+              reason: "Container log stream ended",
+            });
+          },
+        }
+      );
+
+      if (closed || streams.get(key) !== entry) {
+        handle.stop();
+        return;
+      }
+      entry.handle = handle;
+    } catch (error) {
+      if (streams.get(key) === entry) {
+        streams.delete(key);
+      }
+      logger.warn(`Failed to attach to logs of ${key}`, {
+        namespace: namespace,
+        error: error.body?.message || error.message,
+      });
+    }
+  };
+
+  const detachPod = (podName) => {
+    for (const [key, entry] of streams) {
+      if (key.startsWith(`${podName}/`)) {
+        logger.info(`Detaching from logs of ${key}`);
+        streams.delete(key);
+        if (entry.handle) {
+          entry.handle.stop();
+        }
+        session.event("detached", {
+          pod: podName,
+          container: key.slice(podName.length + 1),
+          reason: "Pod deleted",
+        });
+      }
+    }
+    for (const key of endedAt.keys()) {
+      if (key.startsWith(`${podName}/`)) {
+        endedAt.delete(key);
+      }
+    }
+  };
+
+  const onPodEvent = (type, pod, fromTail = false) => {
+    if (closed || !pod?.metadata?.name) {
+      return;
+    }
+
+    if (type === "DELETED" || pod.metadata.deletionTimestamp) {
+      detachPod(pod.metadata.name);
+      return;
+    }
+
+    if (type === "ADDED" || type === "MODIFIED") {
+      (pod.spec?.containers || []).forEach((container) => {
+        attach(pod, container.name, fromTail);
+      });
+    }
+  };
+
+  // Lists the matching pods, then watches for changes from that point on.
+  // The first sync attaches to the tail of existing containers; re-syncs after
+  // a watch ends only pick up what changed in between.
+  const sync = async (initial) => {
+    try {
+      const res = await coreV1Api.listNamespacedPod({
+        namespace,
+        labelSelector,
+      });
+      if (closed) {
+        return;
+      }
+      const podList = res.body || res;
+      podList.items.forEach((pod) => onPodEvent("ADDED", pod, initial));
+
+      const controller = await watch.watch(
+        `/api/v1/namespaces/${namespace}/pods`,
+        { labelSelector, resourceVersion: podList.metadata?.resourceVersion },
+        (type, pod) => onPodEvent(type, pod),
+        (err) => {
+          if (closed) {
+            return;
+          }
+          if (err && err.name !== "AbortError") {
+            logger.warn(`Pod watch for log aggregation ended: ${err.message}`);
+          }
+          restartTimer = setTimeout(() => sync(false), WATCH_RESTART_DELAY_MS);
+        }
+      );
+      // The client may have disconnected while the watch was being set up
+      if (closed) {
+        controller.abort();
+        return;
+      }
+      watchController = controller;
+    } catch (error) {
+      if (closed) {
+        return;
+      }
+      logger.error(`Failed to watch pods for log aggregation`, {
+        namespace: namespace,
+        labelSelector: labelSelector,
+        error: error.message,
+      });
+      session.end(`Error watching pods: ${error.message}`, 1011);
+    }
+  };
+
+  const stopAll = () => {
+    const entries = [...streams.values()];
+    streams.clear();
+    endedAt.clear();
+    entries.forEach((entry) => {
+      if (entry.handle) {
+        entry.handle.stop();
+      }
+    });
+  };
+
+  // Re-attaches every running container from the tail chosen by the client.
+  const reattachFromTail = async () => {
+    stopAll();
+    const res = await coreV1Api.listNamespacedPod({ namespace, labelSelector });
+    const podList = res.body || res;
+    podList.items.forEach((pod) => onPodEvent("ADDED", pod, true));
+  };
+
+  const session = createLogSession(clientWs, {
+    filter,
+    tailLines,
+    format,
+    prefix: true,
+    onTailLines: reattachFromTail,
+  });
+
+  clientWs.on("close", () => {
+    closed = true;
+    clearTimeout(restartTimer);
+    if (watchController) {
+      watchController.abort();
+    }
+    stopAll();
+    logger.info(
+      `Client disconnected, stopped aggregated log stream in namespace: ${namespace}`
+    );
+  });
+
+  await sync(true);
+};
@@ -0,0 +1,202 @@
+import { PatchStrategy, setHeaderOptions } from "@kubernetes/client-node";
+import logger from "../../config/logger.js";
+
+export const REVISION_ANNOTATION = "deployment.kubernetes.io/revision";
+const CHANGE_CAUSE_ANNOTATION = "kubernetes.io/change-cause";
+const DEFAULT_PROGRESS_DEADLINE_SECONDS = 600;
+
+export const getRevision = (object) =>
+  parseInt(object.metadata?.annotations?.[REVISION_ANNOTATION], 10) || 0;
+
+// Summarises the rollout of a deployment the same way `kubectl rollout
+// status` does, plus replica counts and stuck detection based on
+// progressDeadlineSeconds.
+export const getRolloutStatus = (deployment) => {
+  const spec = deployment.spec || {};
+  const status = deployment.status || {};
+  const desired = spec.replicas ?? 1;
+  const updated = status.updatedReplicas || 0;
+  const available = status.availableReplicas || 0;
+  const total = status.replicas || 0;
+  const progressDeadlineSeconds =
+    spec.progressDeadlineSeconds ?? DEFAULT_PROGRESS_DEADLINE_SECONDS;
+
+  const conditions = status.conditions || [];
+  const progressing = conditions.find((c) => c.type === "Progressing");
+
+  let phase;
+  let message;
+  if (
+    (deployment.metadata?.generation || 0) > (status.observedGeneration || 0)
+  ) {
+    phase = "pending";
+    message = "Waiting for deployment spec update to be observed";
+  } else if (progressing?.reason === "ProgressDeadlineExceeded") {
+    phase = "failed";
+    message = `Deployment exceeded its progress deadline of ${progressDeadlineSeconds}s`;
+  } else if (spec.paused) {
+    phase = "paused";
+    message = "Deployment is paused";
+  } else if (updated < desired) {
+    phase = "progressing";
+    message = `${updated} of ${desired} updated replicas are available`;
+  } else if (total > updated) {
+    phase = "progressing";
+    message = `${total - updated} old replicas are pending termination`;
+  } else if (available < updated) {
+    phase = "progressing";
+    message = `${available} of ${updated} updated replicas are available`;
+  } else {
+    phase = "complete";
+    message = "Deployment successfully rolled out";
+  }
+
+  // The controller only flags ProgressDeadlineExceeded on its next sync, so
+  // a rollout that has not progressed for longer than the deadline is
+  // reported as stuck right away.
+  const lastProgressAt = progressing?.lastUpdateTime
+    ? new Date(progressing.lastUpdateTime).getTime()
+    : null;
+  const stuck =
+    phase === "failed" ||
+    (phase === "progressing" &&
+      lastProgressAt !== null &&
+      Date.now() - lastProgressAt > progressDeadlineSeconds * 1000);
+
+  return {
+    name: deployment.metadata?.name,
+    namespace: deployment.metadata?.namespace,
+    revision: getRevision(deployment),
+    phase: phase,
+    message: message,
+    stuck: stuck,
+    progress:
+      desired > 0
+        ? Math.round((Math.min(updated, available) / desired) * 100)
+        : 100,
+    replicas: {
+      desired: desired,
+      total: total,
+      updated: updated,
+      ready: status.readyReplicas || 0,
+      available: available,
+      unavailable: status.unavailableReplicas || 0,
+    },
+    progressDeadlineSeconds: progressDeadlineSeconds,
+    generation: deployment.metadata?.generation,
+    observedGeneration: status.observedGeneration,
+    conditions: conditions,
+  };
+};
+
+// ReplicaSets owned by the deployment, newest revision first.
+const getOwnedReplicaSets = async (appsV1Api, deployment, labelSelector) => {
+  const res = await appsV1Api.listNamespacedReplicaSet({
+    namespace: deployment.metadata.namespace,
+    labelSelector,
+  });
+  const responseData = res.body || res;
+
+  return (responseData.items || [])
+    .filter((replicaSet) =>
+      replicaSet.metadata?.ownerReferences?.some(
+        (owner) => owner.uid === deployment.metadata.uid
+      )
+    )
+    .sort((a, b) => getRevision(b) - getRevision(a));
+};
+
+export const getRolloutHistory = async (
+  appsV1Api,
+  deployment,
+  labelSelector
+) => {
+  const replicaSets = await getOwnedReplicaSets(
+    appsV1Api,
+    deployment,
+    labelSelector
+  );
+  const currentRevision = getRevision(deployment);
+
+  return replicaSets.map((replicaSet) => ({
+    revision: getRevision(replicaSet),
+    replicaSet: replicaSet.metadata.name,
+    current: getRevision(replicaSet) === currentRevision,
+    changeCause:
+      replicaSet.metadata.annotations?.[CHANGE_CAUSE_ANNOTATION] || null,
+    images: (replicaSet.spec?.template?.spec?.containers || []).map(
+      (container) => ({ name: container.name, image: container.image })
+    ),
+    replicas: {
+      desired: replicaSet.spec?.replicas || 0,
+      ready: replicaSet.status?.readyReplicas || 0,
+      available: replicaSet.status?.availableReplicas || 0,
+    },
+    creationTimestamp: replicaSet.metadata.creationTimestamp,
+  }));
+};
+
+// Rolls the deployment back to the pod template of the given revision, or to
+// the previous revision when none is given - like `kubectl rollout undo`.
+export const rollbackDeployment = async (
+  appsV1Api,
+  deployment,
+  labelSelector,
+  revision
+) => {
+  const replicaSets = await getOwnedReplicaSets(
+    appsV1Api,
+    deployment,
+    labelSelector
+  );
+  const currentRevision = getRevision(deployment);
+
+  const target = revision
+    ? replicaSets.find((replicaSet) => getRevision(replicaSet) === revision)
+    : replicaSets.find(
+        (replicaSet) => getRevision(replicaSet) < currentRevision
+      );
+
+  if (!target) {
+    throw new Error(
+      revision
+        ? `Revision ${revision} not found for deployment '${deployment.metadata.name}'`
+        : `Previous revision not found for deployment '${deployment.metadata.name}'`
+    );
+  }
+
+  const targetRevision = getRevision(target);
+  if (targetRevision === currentRevision) {
+    logger.info(
+      `Skipping rollback of ${deployment.metadata.name}: already at revision ${targetRevision}`
+    );
+    return { deployment, revision: targetRevision, skipped: true };
+  }
+
+  // The pod-template-hash label is added by the ReplicaSet controller and
+  // must not be copied back into the deployment template.
+  const template = JSON.parse(JSON.stringify(target.spec.template));
+  if (template.metadata?.labels) {
+    delete template.metadata.labels["pod-template-hash"];
+  }
+
+  const patch = [{ op: "replace", path: "/spec/template", value: template }];
+
+  const res = await appsV1Api.patchNamespacedDeployment(
+    {
+      name: deployment.metadata.name,
+      namespace: deployment.metadata.namespace,
+      body: patch,
+    },
+    setHeaderOptions("Content-Type", PatchStrategy.JsonPatch)
+  );
+
+  logger.info(
+    `Rolled back deployment ${deployment.metadata.name} to revision ${targetRevision}`
+  );
+  return {
+    deployment: res.body || res,
+    revision: targetRevision,
+    skipped: false,
+  };
+};
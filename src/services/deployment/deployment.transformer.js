@@ -0,0 +1,46 @@
+export const transformDeploymentData = (deployment) => {
+  const spec = deployment.spec || {};
+  const status = deployment.status || {};
+  const desiredReplicas = spec.replicas ?? 1;
+
+  const containers = (spec.template?.spec?.containers || []).map(
+    (container) => ({
+      name: container.name,
+      image: container.image,
+      ports:
+        container.ports?.map((port) => ({
+          name: port.name,
+          containerPort: port.containerPort,
+          protocol: port.protocol,
+        })) || [],
+      resources: {
+        requests: container.resources?.requests || {},
+        limits: container.resources?.limits || {},
+      },
+    })
+  );
+
+  return {
+    name: deployment.metadata?.name,
+    namespace: deployment.metadata?.namespace,
+    uid: deployment.metadata?.uid,
+    generation: deployment.metadata?.generation,
+    observedGeneration: status.observedGeneration,
+    replicas: {
+      desired: desiredReplicas,
+      current: status.replicas || 0,
+      ready: status.readyReplicas || 0,
+      updated: status.updatedReplicas || 0,
+      available: status.availableReplicas || 0,
+      unavailable: status.unavailableReplicas || 0,
+    },
+    strategy: spec.strategy,
+    selector: spec.selector,
+    paused: spec.paused || false,
+    containers: containers,
+    conditions: status.conditions || [],
+    creationTimestamp: deployment.metadata?.creationTimestamp,
+    labels: deployment.metadata?.labels || {},
+    annotations: deployment.metadata?.annotations || {},
+  };
+};
@@ -0,0 +1,332 @@
+import { Watch } from "@kubernetes/client-node";
+import logger from "../../config/logger.js";
+import { getRolloutStatus, getRevision } from "./deployment.rollout.js";
+import { closeWebSocket } from "../../utils/ws.close.js";
+
+const WATCH_RESTART_DELAY_MS = 1000;
+// A rollout that stops progressing produces no watch event, so whether it is
+// stuck is re-evaluated on this interval as well.
+const STUCK_CHECK_INTERVAL_MS = 15000;
+
+const isPodReady = (pod) =>
+  pod.status?.conditions?.some(
+    (c) => c.type === "Ready" && c.status === "True"
+  ) || false;
+
+// Streams the progress of a deployment rollout as JSON events. The
+// deployment, its ReplicaSets and its pods are each listed once and then
+// watched; the client first receives a "snapshot" event and afterwards one
+// event per change (changes seen while the snapshot is being built are held
+// back until it has been sent):
+//   rollout.status     replica counts / phase changed
+//   rollout.complete   rollout reached the complete phase
+//   rollout.failed     rollout exceeded its progress deadline
+//   replicaset.scaled  a ReplicaSet's desired replicas changed
+//   pod.created, pod.scheduled, pod.ready, pod.notReady,
+//   pod.terminating, pod.terminated
+// Pod events carry the revision of the owning ReplicaSet and whether it is
+// the deployment's current (new) revision.
+export const streamRolloutEvents = async (
+  clientWs,
+  kubeConfig,
+  appsV1Api,
+  coreV1Api,
+  deployment,
+  labelSelector
+) => {
+  const watch = new Watch(kubeConfig);
+  const name = deployment.metadata.name;
+  const namespace = deployment.metadata.namespace;
+
+  const replicaSets = new Map();
+  const pods = new Map();
+  const controllers = new Set();
+  const timers = new Set();
+  let currentRevision = getRevision(deployment);
+  let lastDeployment = deployment;
+  let lastRollout = null;
+  let closed = false;
+  let stuckCheck = null;
+  // Messages and the close reason held back until the snapshot is sent
+  let pending = [];
+  let pendingClose = null;
+
+  const send = (type, data = {}) => {
+    if (pending !== null && type !== "snapshot") {
+      pending.push([type, data]);
+      return;
+    }
+    if (clientWs.readyState === clientWs.OPEN) {
+      clientWs.send(
+        JSON.stringify({
+          type,
+          deployment: name,
+          namespace,
+          timestamp: new Date().toISOString(),
+          ...data,
+        })
+      );
+    }
+  };
+
+  const describePod = (pod) => {
+    const owner = pod.metadata.ownerReferences?.find(
+      (ref) => ref.kind === "ReplicaSet"
+    );
+    const revision = owner ? replicaSets.get(owner.name)?.revision : null;
+    return {
+      pod: pod.metadata.name,
+      node: pod.spec?.nodeName || null,
+      phase: pod.status?.phase,
+      revision: revision ?? null,
+      new: revision === currentRevision,
+    };
+  };
+
+  const onDeployment = (type, object, silent = false) => {
+    if (type === "DELETED") {
+      send("deployment.deleted");
+      if (pending !== null) {
+        pendingClose = "Deployment deleted";
+      } else {
+        closeWebSocket(clientWs, 1000, "Deployment deleted");
+      }
+      return;
+    }
+
+    lastDeployment = object;
+    currentRevision = getRevision(object);
+    const rollout = getRolloutStatus(object);
+    const previous = lastRollout;
+    lastRollout = rollout;
+
+    if (silent) {
+      return;
+    }
+
+    if (
+      previous === null ||
+      previous.phase !== rollout.phase ||
+      previous.stuck !== rollout.stuck ||
+      previous.revision !== rollout.revision ||
+      JSON.stringify(previous.replicas) !== JSON.stringify(rollout.replicas)
+    ) {
+      send("rollout.status", { rollout });
+    }
+
+    if (previous?.phase !== rollout.phase) {
+      if (rollout.phase === "complete") {
+        send("rollout.complete", { revision: rollout.revision });
+      } else if (rollout.phase === "failed") {
+        send("rollout.failed", {
+          revision: rollout.revision,
+          message: rollout.message,
+        });
+      }
+    }
+  };
+
+  const onReplicaSet = (type, replicaSet, silent = false) => {
+    const rsName = replicaSet.metadata.name;
+    if (type === "DELETED") {
+      replicaSets.delete(rsName);
+      return;
+    }
+
+    const previous = replicaSets.get(rsName);
+    const state = {
+      revision: getRevision(replicaSet),
+      replicas: replicaSet.spec?.replicas ?? 0,
+    };
+    replicaSets.set(rsName, state);
+
+    if (!silent && previous && previous.replicas !== state.replicas) {
+      send("replicaset.scaled", {
+        replicaSet: rsName,
+        revision: state.revision,
+        new: state.revision === currentRevision,
+        from: previous.replicas,
+        to: state.replicas,
+      });
+    }
+  };
+
+  const onPod = (type, pod, silent = false) => {
+    const podName = pod.metadata.name;
+    const previous = pods.get(podName);
+
+    if (type === "DELETED") {
+      if (previous) {
+        pods.delete(podName);
+        send("pod.terminated", describePod(pod));
+      }
+      return;
+    }
+
+    const state = {
+      pod: pod,
+      scheduled: Boolean(pod.spec?.nodeName),
+      ready: isPodReady(pod),
+      terminating: Boolean(pod.metadata.deletionTimestamp),
+    };
+    pods.set(podName, state);
+
+    if (silent) {
+      return;
+    }
+
+    const details = describePod(pod);
+    if (!previous) {
+      send("pod.created", details);
+    }
+    if (state.scheduled && !previous?.scheduled) {
+      send("pod.scheduled", details);
+    }
+    if (state.ready && !previous?.ready) {
+      send("pod.ready", details);
+    }
+    if (!state.ready && previous?.ready) {
+      send("pod.notReady", details);
+    }
+    if (state.terminating && !previous?.terminating) {
+      send("pod.terminating", details);
+    }
+  };
+
+  // Lists a resource, applies the items, then watches from the list's
+  // resourceVersion. When the watch ends it is re-listed; objects that
+  // disappeared in the meantime are replayed as DELETED so no transition is
+  // lost.
+  const listAndWatch = async (
+    { list, path, query, known, onEvent },
+    initial
+  ) => {
+    if (closed) {
+      return;
+    }
+
+    try {
+      const res = await list();
+      const data = res.body || res;
+      const items = data.items || [];
+
+      if (!initial) {
+        const present = new Set(items.map((item) => item.metadata.name));
+        [...known().entries()]
+          .filter(([itemName]) => !present.has(itemName))
+          .forEach(([itemName, state]) =>
+            onEvent("DELETED", state.pod || { metadata: { name: itemName } })
+          );
+      }
+      items.forEach((item) => onEvent("MODIFIED", item, initial));
+
+      const controller = await watch.watch(
+        path,
+        { ...query, resourceVersion: data.metadata?.resourceVersion },
+        (type, object) => onEvent(type, object),
+        (err) => {
+          controllers.delete(controller);
+          if (closed) {
+            return;
+          }
+          if (err && err.name !== "AbortError") {
+            logger.warn(`Rollout watch on ${path} ended: ${err.message}`);
+          }
+          const timer = setTimeout(() => {
+            timers.delete(timer);
+            listAndWatch({ list, path, query, known, onEvent }, false);
+          }, WATCH_RESTART_DELAY_MS);
+          timers.add(timer);
+        }
+      );
+      if (closed) {
+        controller.abort();
+        return;
+      }
+      controllers.add(controller);
+    } catch (error) {
+      logger.error(`Failed to watch ${path} for rollout of ${name}`, {
+        namespace: namespace,
+        error: error.message,
+      });
+      if (clientWs.readyState === clientWs.OPEN) {
+        closeWebSocket(
+          clientWs,
+          1011,
+          `Error watching rollout: ${error.message}`
+        );
+      }
+    }
+  };
+
+  clientWs.on("close", () => {
+    closed = true;
+    clearInterval(stuckCheck);
+    timers.forEach((timer) => clearTimeout(timer));
+    controllers.forEach((controller) => controller.abort());
+    logger.info(`Client disconnected, stopped rollout stream for ${name}`);
+  });
+
+  const fieldSelector = `metadata.name=${name}`;
+
+  // ReplicaSets first so pod revisions are known, then the deployment for the
+  // current revision, then the pods.
+  await listAndWatch(
+    {
+      list: () =>
+        appsV1Api.listNamespacedReplicaSet({ namespace, labelSelector }),
+      path: `/apis/apps/v1/namespaces/${namespace}/replicasets`,
+      query: { labelSelector },
+      known: () => replicaSets,
+      onEvent: onReplicaSet,
+    },
+    true
+  );
+  await listAndWatch(
+    {
+      list: () =>
+        appsV1Api.listNamespacedDeployment({ namespace, fieldSelector }),
+      path: `/apis/apps/v1/namespaces/${namespace}/deployments`,
+      query: { fieldSelector },
+      known: () => new Map(),
+      onEvent: onDeployment,
+    },
+    true
+  );
+  await listAndWatch(
+    {
+      list: () => coreV1Api.listNamespacedPod({ namespace, labelSelector }),
+      path: `/api/v1/namespaces/${namespace}/pods`,
+      query: { labelSelector },
+      known: () => pods,
+      onEvent: onPod,
+    },
+    true
+  );
+
+  if (closed) {
+    return;
+  }
+
+  send("snapshot", {
+    rollout: lastRollout,
+    pods: [...pods.values()].map((state) => ({
+      ...describePod(state.pod),
+      ready: state.ready,
+      terminating: state.terminating,
+    })),
+  });
+
+  const held = pending;
+  pending = null;
+  held.forEach(([type, data]) => send(type, data));
+  if (pendingClose) {
+    closeWebSocket(clientWs, 1000, pendingClose);
+    return;
+  }
+
+  stuckCheck = setInterval(
+    () => onDeployment("MODIFIED", lastDeployment),
+    STUCK_CHECK_INTERVAL_MS
+  );
+};
@@ -1,5 +1,6 @@
 import { KubeConfig, NetworkingV1Api } from "@kubernetes/client-node";
 import logger from "../config/logger.js";
+import { getStatusCode, httpError } from "../utils/k8s.errors.js";
 
 const kubeConfig = new KubeConfig();
 kubeConfig.loadFromDefault();
@@ -14,7 +15,7 @@ export const getAllIngresses = async (namespace = null) => {
 
     let res;
     if (namespace) {
-      res = await networkingV1Api.listNamespacedIngress(namespace);
+      res = await networkingV1Api.listNamespacedIngress({ namespace });
     } else {
       res = await networkingV1Api.listIngressForAllNamespaces();
     }
@@ -53,7 +54,7 @@ export const getAllIngresses = async (namespace = null) => {
       );
     }
 
-    if (error.statusCode === 404 && namespace) {
+    if (getStatusCode(error) === 404 && namespace) {
       throw new Error(`Namespace '${namespace}' not found`);
     }
 
@@ -61,8 +62,115 @@ export const getAllIngresses = async (namespace = null) => {
   }
 };
 
+export const getIngressByName = async (name, namespace = "default") => {
+  try {
+    logger.debug(
+      `Calling Kubernetes API to get ingress: ${name} in namespace: ${namespace}`
+    );
+
+    const res = await networkingV1Api.readNamespacedIngress({
+      name,
+      namespace,
+    });
+
+    return res.body || res;
+  } catch (error) {
+    logger.error(`Failed to fetch ingress ${name}: ${error.message}`, {
+      ingressName: name,
+      namespace: namespace,
+      error: error.message,
+      stack: error.stack,
+    });
+    throw error;
+  }
+};
+
+// Trailing slashes do not make a different route
+const normalizePath = (path) => (path || "/").replace(/(.)\/+$/, "$1");
+
+// The host and path pairs an ingress routes. A rule without paths claims the
+// whole host (path null); rules without a host match any host and are left
+// to the ingress controller.
+export const getHostClaims = (ingress) =>
+  (ingress.spec?.rules || [])
+    .filter((rule) => rule.host)
+    .flatMap((rule) => {
+      const host = rule.host.toLowerCase();
+      const paths = rule.http?.paths || [];
+      return paths.length > 0
+        ? paths.map((path) => ({ host, path: normalizePath(path.path) }))
+        : [{ host, path: null }];
+    });
+
+// Whether `wildcard` is a wildcard host such as *.example.com matching
+// `host`, which then sits exactly one label below it.
+const wildcardMatches = (wildcard, host) =>
+  wildcard.startsWith("*.") &&
+  host.endsWith(wildcard.slice(1)) &&
+  !host.slice(0, -(wildcard.length - 1)).includes(".");
+
+// Two hosts overlap when they are equal or one is a wildcard matching the
+// other: the ingress controller sends a host to its most specific rule, so
+// foo.example.com takes that host's traffic away from *.example.com.
+const hostsOverlap = (host, other) =>
+  host === other ||
+  wildcardMatches(host, other) ||
+  wildcardMatches(other, host);
+
+export const claimsOverlap = (claim, other) =>
+  hostsOverlap(claim.host, other.host) &&
+  (claim.path === null || other.path === null || claim.path === other.path);
+
+// Rejects an ingress that routes a host and path already routed by an
+// ingress in another namespace: on a shared ingress controller one of them
+// would silently stop receiving traffic. The error names no other namespace,
+// as it may be returned to a tenant that cannot see it.
+// The check is a read before the create or replace, not part of it, so two
+// requests racing for the same host can both pass; Kubernetes has no
+// uniqueness constraint on ingress hosts that could close that window.
+const assertNoHostConflicts = async (namespace, ingress) => {
+  const claims = getHostClaims(ingress);
+  if (claims.length === 0) {
+    return;
+  }
+
+  const res = await networkingV1Api.listIngressForAllNamespaces();
+  for (const other of (res.body || res).items) {
+    if (other.metadata?.namespace === namespace) {
+      continue;
+    }
+    for (const otherClaim of getHostClaims(other)) {
+      const claim = claims.find((candidate) =>
+        claimsOverlap(candidate, otherClaim)
+      );
+      if (!claim) {
+        continue;
+      }
+
+      logger.warn(`Ingress host conflict: ${claim.host}${claim.path || ""}`, {
+        namespace: namespace,
+        ingress: ingress.metadata?.name,
+        conflictingNamespace: other.metadata?.namespace,
+        conflictingIngress: other.metadata?.name,
+      });
+      throw httpError(
+        `Host '${claim.host}'${
+          claim.path ? ` with path '${claim.path}'` : ""
+        } ${
+          claim.host === otherClaim.host
+            ? "is already routed"
+            : "overlaps a host routed"
+        } by an ingress in another namespace`,
+        409
+      );
+    }
+  }
+};
+
 export const createIngress = async (namespace, body) => {
   try {
+    await assertNoHostConflicts(namespace, body);
+
     logger.debug(
       `Calling Kubernetes API to create ingress in namespace: ${namespace}`
     );
@@ -73,7 +181,7 @@ export const createIngress = async (namespace, body) => {
     });
 
     logger.info(`Successfully created ingress`);
-    return res.body;
+    return res.body || res;
   } catch (error) {
     logger.error(`Failed to create ingress: ${error.message}`, {
       namespace: namespace,
@@ -84,7 +192,89 @@ export const createIngress = async (namespace, body) => {
   }
 };
 
+export const updateIngress = async (name, namespace = "default", body) => {
+  try {
+    await assertNoHostConflicts(namespace, body);
+
+    logger.debug(
+      `Calling Kubernetes API to replace ingress: ${name} in namespace: ${namespace}`
+    );
+
+    const res = await networkingV1Api.replaceNamespacedIngress({
+      name,
+      namespace,
+      body: {
+        ...body,
+        metadata: { ...body?.metadata, name, namespace },
+      },
+    });
+
+    logger.info(`Successfully replaced ingress: ${name}`);
+    return res.body || res;
+  } catch (error) {
+    logger.error(`Failed to replace ingress ${name}: ${error.message}`, {
+      ingressName: name,
+      namespace: namespace,
+      error: error.message,
+      stack: error.stack,
+    });
+    throw error;
+  }
+};
+
+export const getIngressesByLabel = async (namespace, labelSelector) => {
+  try {
+    logger.debug(
+      `Calling Kubernetes API to list ingresses in namespace: ${namespace} matching: ${labelSelector}`
+    );
+
+    const res = await networkingV1Api.listNamespacedIngress({
+      namespace,
+      labelSelector,
+    });
+    const responseData = res.body || res;
+
+    return responseData.items || [];
+  } catch (error) {
+    logger.error(`Failed to list ingresses by label: ${error.message}`, {
+      namespace: namespace,
+      labelSelector: labelSelector,
+      error: error.message,
+      stack: error.stack,
+    });
+    throw error;
+  }
+};
+
+export const deleteIngress = async (name, namespace = "default") => {
+  try {
+    logger.debug(
+      `Calling Kubernetes API to delete ingress: ${name} in namespace: ${namespace}`
+    );
+
+    const res = await networkingV1Api.deleteNamespacedIngress({
+      name,
+      namespace,
+    });
+
+    logger.info(`Successfully deleted ingress: ${name}`);
+    return res.body || res;
+  } catch (error) {
+    logger.error(`Failed to delete ingress ${name}: ${error.message}`, {
+      ingressName: name,
+      namespace: namespace,
+      error: error.message,
+      stack: error.stack,
+    });
+    throw error;
+  }
+};
+
 export default {
   getAllIngresses,
+  getIngressByName,
   createIngress,
+  updateIngress,
+  getIngressesByLabel,
+  deleteIngress,
 };
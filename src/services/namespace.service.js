@@ -1,10 +1,155 @@
-import { KubeConfig, CoreV1Api } from "@kubernetes/client-node";
+import {
+  KubeConfig,
+  CoreV1Api,
+  AppsV1Api,
+  NetworkingV1Api,
+  PatchStrategy,
+  setHeaderOptions,
+} from "@kubernetes/client-node";
 import logger from "../config/logger.js";
+import { getStatusCode, httpError, toHttpError } from "../utils/k8s.errors.js";
+import { parseQuantity, getUsagePercent } from "../utils/k8s.quantity.js";
+import { summarizeQuotas } from "./quota.service.js";
+import { getPodMetrics } from "./pod/pod.metrics.js";
 
 const kubeConfig = new KubeConfig();
 kubeConfig.loadFromDefault();
 
 const k8sApi = kubeConfig.makeApiClient(CoreV1Api);
+const appsV1Api = kubeConfig.makeApiClient(AppsV1Api);
+const networkingV1Api = kubeConfig.makeApiClient(NetworkingV1Api);
+
+// Namespace names are DNS-1123 labels
+const NAMESPACE_NAME_PATTERN = /^[a-z0-9]([-a-z0-9]*[a-z0-9])?$/;
+
+// Namespaces the cluster relies on; Kubernetes refuses to delete most of them
+const PROTECTED_NAMESPACES = [
+  "default",
+  "kube-system",
+  "kube-public",
+  "kube-node-lease",
+];
+
+// A namespace still terminating after this long with finalizers or failed
+// deletions remaining is reported as stuck.
+const STUCK_AFTER_SECONDS = 300;
+
+// Conditions the namespace controller sets while deleting a namespace
+const DELETION_FAILURE_CONDITIONS = [
+  "NamespaceDeletionDiscoveryFailure",
+  "NamespaceDeletionGroupVersionParsingFailure",
+  "NamespaceDeletionContentFailure",
+];
+
+const toNamespaceError = (error, action, name) =>
+  toHttpError(error, {
+    action,
+    kind: "namespace",
+    name,
+    notFound: `Namespace '${name}' not found in the cluster`,
+  });
+
+const validateStringMap = (value, field) => {
+  if (value === undefined) {
+    return;
+  }
+  if (
+    !value ||
+    typeof value !== "object" ||
+    Array.isArray(value) ||
+    Object.values(value).some((entry) => typeof entry !== "string")
+  ) {
+    throw httpError(`${field} must be an object of strings`, 400);
+  }
+};
+
+// "pods. has 2 resource instances, configmaps. has 1 resource instances"
+const parseRemainingResources = (message = "") =>
+  [...message.matchAll(/([\w.-]+?)\.?\s+has (\d+) resource instances/g)].map(
+    ([, resource, count]) => ({ resource, count: parseInt(count, 10) })
+  );
+
+// "... finalizers remaining: kubernetes.io/pvc-protection in 1 resource instances"
+const parseRemainingFinalizers = (message = "") =>
+  [...message.matchAll(/([\w./-]+) in (\d+) resource instances/g)].map(
+    ([, finalizer, count]) => ({ finalizer, count: parseInt(count, 10) })
+  );
+
+// Progress of a namespace being deleted, from the conditions the namespace
+// controller reports. Returns null for namespaces that are not terminating.
+const getTerminationStatus = (namespace) => {
+  const deletionTimestamp = namespace.metadata?.deletionTimestamp;
+  if (!deletionTimestamp) {
+    return null;
+  }
+
+  const conditions = (namespace.status?.conditions || []).filter(
+    (condition) => condition.status === "True"
+  );
+  const findMessage = (type) =>
+    conditions.find((condition) => condition.type === type)?.message;
+
+  const remainingResources = parseRemainingResources(
+    findMessage("NamespaceContentRemaining")
+  );
+  const remainingFinalizers = parseRemainingFinalizers(
+    findMessage("NamespaceFinalizersRemaining")
+  );
+  const failures = conditions.filter((condition) =>
+    DELETION_FAILURE_CONDITIONS.includes(condition.type)
+  );
+  const terminatingForSeconds = Math.max(
+    0,
+    Math.floor((Date.now() - new Date(deletionTimestamp).getTime()) / 1000)
+  );
+
+  return {
+    deletionTimestamp: deletionTimestamp,
+    terminatingForSeconds: terminatingForSeconds,
+    finalizers: namespace.spec?.finalizers || [],
+    remainingResources: remainingResources,
+    remainingFinalizers: remainingFinalizers,
+    conditions: conditions.map((condition) => ({
+      type: condition.type,
+      reason: condition.reason,
+      message: condition.message,
+      lastTransitionTime: condition.lastTransitionTime,
+    })),
+    stuck:
+      terminatingForSeconds > STUCK_AFTER_SECONDS &&
+      (remainingFinalizers.length > 0 || failures.length > 0),
+  };
+};
+
+const countPodsByPhase = (pods) => {
+  const counts = { total: 0, running: 0, pending: 0, failed: 0, succeeded: 0 };
+  pods.forEach((pod) => {
+    counts.total++;
+
+    const phase = pod.status?.phase;
+    if (phase === "Running") {
+      counts.running++;
+    } else if (phase === "Pending") {
+      counts.pending++;
+    } else if (phase === "Failed") {
+      counts.failed++;
+    } else if (phase === "Succeeded") {
+      counts.succeeded++;
+    }
+  });
+  return counts;
+};
+
+const transformNamespaceData = (namespace) => ({
+  name: namespace.metadata?.name,
+  status: namespace.status?.phase || "Active",
+  creationTimestamp: namespace.metadata?.creationTimestamp,
+  labels: namespace.metadata?.labels || {},
+  annotations: namespace.metadata?.annotations || {},
+  uid: namespace.metadata?.uid,
+  resourceVersion: namespace.metadata?.resourceVersion,
+  termination: getTerminationStatus(namespace),
+});
 
 export const getAllNamespaces = async () => {
   try {
@@ -178,20 +323,7 @@ export const getNamespaceByName = async (name) => {
       });
       const podsData = podsRes.body || podsRes;
       if (podsData && podsData.items) {
-        podsData.items.forEach((pod) => {
-          namespacePods.total++;
-
-          const phase = pod.status?.phase;
-          if (phase === "Running") {
-            namespacePods.running++;
-          } else if (phase === "Pending") {
-            namespacePods.pending++;
-          } else if (phase === "Failed") {
-            namespacePods.failed++;
-          } else if (phase === "Succeeded") {
-            namespacePods.succeeded++;
-          }
-        });
+        namespacePods = countPodsByPhase(podsData.items);
       }
     } catch (error) {
       logger.warn(
@@ -202,6 +334,22 @@ export const getNamespaceByName = async (name) => {
       );
     }
 
+    // Used vs hard of the namespace's ResourceQuotas
+    let quota = null;
+    try {
+      const quotasRes = await k8sApi.listNamespacedResourceQuota({
+        namespace: namespaceName,
+      });
+      quota = summarizeQuotas((quotasRes.body || quotasRes).items);
+    } catch (error) {
+      logger.warn(
+        `Failed to fetch resource quotas for namespace ${namespaceName}, continuing without quota`,
+        {
+          error: error.message,
+        }
+      );
+    }
+
     const namespaceData = {
       name: namespace.metadata?.name,
       status: namespace.status?.phase || "Active",
@@ -209,8 +357,10 @@ export const getNamespaceByName = async (name) => {
       labels: namespace.metadata?.labels || {},
       annotations: namespace.metadata?.annotations || {},
       pods: namespacePods,
+      quota: quota,
       uid: namespace.metadata?.uid,
       resourceVersion: namespace.metadata?.resourceVersion,
+      termination: getTerminationStatus(namespace),
     };
 
     logger.info(`Successfully processed namespace data for: ${namespaceName}`);
@@ -224,7 +374,7 @@ export const getNamespaceByName = async (name) => {
     });
 
     // Check if it's a 404 error (namespace not found)
-    if (error.statusCode === 404) {
+    if (getStatusCode(error) === 404) {
       throw new Error(`Namespace '${name}' not found in the cluster`);
     }
 
@@ -239,7 +389,333 @@ export const getNamespaceByName = async (name) => {
   }
 };
 
+// Lists objects for the summary; a list that fails (e.g. for lack of RBAC
+// permissions) is reported as null instead of failing the whole summary.
+const listForSummary = async (kind, namespace, list) => {
+  try {
+    const res = await list({ namespace });
+    return (res.body || res).items;
+  } catch (error) {
+    if (getStatusCode(error) === 404) {
+      throw error;
+    }
+    logger.warn(
+      `Failed to list ${kind} for namespace ${namespace}, continuing without them`,
+      { error: error.message }
+    );
+    return null;
+  }
+};
+
+const toInventory = (items, transform) =>
+  items ? { count: items.length, items: items.map(transform) } : null;
+
+// Sums the CPU (millicores) and memory (bytes) requests and limits of the
+// containers of pods that hold resources, i.e. are pending or running.
+const sumPodResources = (pods) => {
+  const totals = {
+    cpu: { requests: 0, limits: 0 },
+    memory: { requests: 0, limits: 0 },
+    containersWithoutLimits: 0,
+  };
+
+  pods
+    .filter((pod) => ["Pending", "Running"].includes(pod.status?.phase))
+    .flatMap((pod) => pod.spec?.containers || [])
+    .forEach((container) => {
+      const { requests = {}, limits = {} } = container.resources || {};
+      totals.cpu.requests += (parseQuantity(requests.cpu) || 0) * 1000;
+      totals.cpu.limits += (parseQuantity(limits.cpu) || 0) * 1000;
+      totals.memory.requests += parseQuantity(requests.memory) || 0;
+      totals.memory.limits += parseQuantity(limits.memory) || 0;
+      if (!limits.cpu || !limits.memory) {
+        totals.containersWithoutLimits++;
+      }
+    });
+
+  return totals;
+};
+
+// Live usage vs requests and limits of the namespace's pods. Usage comes from
+// the metrics API and is null when metrics-server is not available.
+const summarizeResourceUsage = (pods, podMetricsMap, namespace) => {
+  const totals = sumPodResources(pods);
+  const metrics = Object.entries(podMetricsMap)
+    .filter(([key]) => key.startsWith(`${namespace}/`))
+    .map(([, podMetrics]) => podMetrics.usage);
+  const hasMetrics = metrics.length > 0;
+
+  const cpuUsage = hasMetrics
+    ? Math.round(
+        metrics.reduce((sum, usage) => sum + usage.cpu.millicores, 0) * 100
+      ) / 100
+    : null;
+  const memoryUsage = hasMetrics
+    ? metrics.reduce((sum, usage) => sum + usage.memory.bytes, 0)
+    : null;
+
+  return {
+    metricsAvailable: hasMetrics,
+    cpu: {
+      usageMillicores: cpuUsage,
+      requestsMillicores: Math.round(totals.cpu.requests),
+      limitsMillicores: Math.round(totals.cpu.limits),
+      percentOfRequests: getUsagePercent(cpuUsage, totals.cpu.requests),
+      percentOfLimits: getUsagePercent(cpuUsage, totals.cpu.limits),
+    },
+    memory: {
+      usageBytes: memoryUsage,
+      requestsBytes: Math.round(totals.memory.requests),
+      limitsBytes: Math.round(totals.memory.limits),
+      percentOfRequests: getUsagePercent(memoryUsage, totals.memory.requests),
+      percentOfLimits: getUsagePercent(memoryUsage, totals.memory.limits),
+    },
+    containersWithoutLimits: totals.containersWithoutLimits,
+  };
+};
+
+// One-call overview of a namespace: the objects in it, pod counts, live
+// CPU and memory usage against requests and limits, and the quota.
+export const getNamespaceSummary = async (name) => {
+  try {
+    logger.debug(`Building summary of namespace: ${name}`);
+
+    const res = await k8sApi.readNamespace({ name });
+    const namespace = res.body || res;
+
+    const [
+      pods,
+      deployments,
+      statefulSets,
+      services,
+      ingresses,
+      configMaps,
+      secrets,
+      persistentVolumeClaims,
+      resourceQuotas,
+      podMetricsMap,
+    ] = await Promise.all([
+      listForSummary("pods", name, (params) =>
+        k8sApi.listNamespacedPod(params)
+      ),
+      listForSummary("deployments", name, (params) =>
+        appsV1Api.listNamespacedDeployment(params)
+      ),
+      listForSummary("statefulsets", name, (params) =>
+        appsV1Api.listNamespacedStatefulSet(params)
+      ),
+      listForSummary("services", name, (params) =>
+        k8sApi.listNamespacedService(params)
+      ),
+      listForSummary("ingresses", name, (params) =>
+        networkingV1Api.listNamespacedIngress(params)
+      ),
+      listForSummary("configmaps", name, (params) =>
+        k8sApi.listNamespacedConfigMap(params)
+      ),
+      listForSummary("secrets", name, (params) =>
+        k8sApi.listNamespacedSecret(params)
+      ),
+      listForSummary("persistentvolumeclaims", name, (params) =>
+        k8sApi.listNamespacedPersistentVolumeClaim(params)
+      ),
+      listForSummary("resourcequotas", name, (params) =>
+        k8sApi.listNamespacedResourceQuota(params)
+      ),
+      getPodMetrics(kubeConfig),
+    ]);
+
+    const summary = {
+      name: name,
+      status: namespace.status?.phase || "Active",
+      labels: namespace.metadata?.labels || {},
+      pods: pods ? countPodsByPhase(pods) : null,
+      resources: pods
+        ? summarizeResourceUsage(pods, podMetricsMap, name)
+        : null,
+      quota: resourceQuotas ? summarizeQuotas(resourceQuotas) : null,
+      inventory: {
+        deployments: toInventory(deployments, (deployment) => ({
+          name: deployment.metadata?.name,
+          replicas: deployment.spec?.replicas ?? 0,
+          readyReplicas: deployment.status?.readyReplicas || 0,
+        })),
+        statefulSets: toInventory(statefulSets, (statefulSet) => ({
+          name: statefulSet.metadata?.name,
+          replicas: statefulSet.spec?.replicas ?? 0,
+          readyReplicas: statefulSet.status?.readyReplicas || 0,
+        })),
+        services: toInventory(services, (service) => ({
+          name: service.metadata?.name,
+          type: service.spec?.type,
+          clusterIP: service.spec?.clusterIP,
+        })),
+        ingresses: toInventory(ingresses, (ingress) => ({
+          name: ingress.metadata?.name,
+          hosts: (ingress.spec?.rules || [])
+            .map((rule) => rule.host)
+            .filter(Boolean),
+        })),
+        configMaps: toInventory(configMaps, (configMap) => ({
+          name: configMap.metadata?.name,
+        })),
+        // Only names and types; secret data never leaves the service
+        secrets: toInventory(secrets, (secret) => ({
+          name: secret.metadata?.name,
+          type: secret.type,
+        })),
+        persistentVolumeClaims: toInventory(persistentVolumeClaims, (pvc) => ({
+          name: pvc.metadata?.name,
+          status: pvc.status?.phase,
+          storageClass: pvc.spec?.storageClassName,
+          capacity:
+            pvc.status?.capacity?.storage ||
+            pvc.spec?.resources?.requests?.storage,
+        })),
+      },
+    };
+
+    logger.info(`Successfully built summary of namespace: ${name}`);
+    return summary;
+  } catch (error) {
+    logger.error(`Failed to build summary of namespace ${name}`, {
+      namespaceName: name,
+      error: error.message,
+      stack: error.stack,
+    });
+    throw toNamespaceError(error, "summarize", name);
+  }
+};
+
+// Creates a namespace with optional labels and annotations.
+export const createNamespace = async ({ name, labels, annotations } = {}) => {
+  try {
+    if (
+      typeof name !== "string" ||
+      name.length > 63 ||
+      !NAMESPACE_NAME_PATTERN.test(name)
+    ) {
+      throw httpError(
+        "name must be a lowercase DNS label (a-z, 0-9 and '-', at most 63 characters)",
+        400
+      );
+    }
+    validateStringMap(labels, "labels");
+    validateStringMap(annotations, "annotations");
+
+    logger.debug(`Calling Kubernetes API to create namespace: ${name}`);
+
+    const res = await k8sApi.createNamespace({
+      body: {
+        apiVersion: "v1",
+        kind: "Namespace",
+        metadata: { name, labels, annotations },
+      },
+    });
+
+    logger.info(`Successfully created namespace: ${name}`);
+    return transformNamespaceData(res.body || res);
+  } catch (error) {
+    logger.error(`Failed to create namespace ${name}: ${error.message}`, {
+      namespaceName: name,
+      error: error.message,
+      stack: error.stack,
+    });
+    throw toNamespaceError(error, "create", name);
+  }
+};
+
+// Merges labels into a namespace; a label set to null is removed.
+export const patchNamespaceLabels = async (name, labels) => {
+  try {
+    if (
+      !labels ||
+      typeof labels !== "object" ||
+      Array.isArray(labels) ||
+      Object.values(labels).some(
+        (value) => value !== null && typeof value !== "string"
+      )
+    ) {
+      throw httpError(
+        "labels must be an object of strings (null removes a label)",
+        400
+      );
+    }
+
+    logger.debug(
+      `Calling Kubernetes API to patch labels of namespace: ${name}`
+    );
+
+    const res = await k8sApi.patchNamespace(
+      { name, body: { metadata: { labels } } },
+      setHeaderOptions("Content-Type", PatchStrategy.MergePatch)
+    );
+
+    logger.info(`Successfully patched labels of namespace: ${name}`);
+    return transformNamespaceData(res.body || res);
+  } catch (error) {
+    logger.error(`Failed to patch namespace ${name}: ${error.message}`, {
+      namespaceName: name,
+      error: error.message,
+      stack: error.stack,
+    });
+    throw toNamespaceError(error, "patch", name);
+  }
+};
+
+// Deletes a namespace and reports how far the deletion got. Deleting a
+// namespace that is already terminating only reports its progress, so the
+// call can be repeated to follow the deletion. Resolves with the namespace
+// as it is now, or with `deleted: true` once it is gone.
+export const deleteNamespace = async (name) => {
+  try {
+    if (PROTECTED_NAMESPACES.includes(name)) {
+      throw httpError(
+        `Namespace '${name}' is a system namespace and cannot be deleted`,
+        403
+      );
+    }
+
+    const existing = await k8sApi.readNamespace({ name });
+    if (!(existing.body || existing).metadata?.deletionTimestamp) {
+      logger.debug(`Calling Kubernetes API to delete namespace: ${name}`);
+      await k8sApi.deleteNamespace({ name });
+      logger.info(`Deletion of namespace ${name} started`);
+    }
+
+    let current;
+    try {
+      current = await k8sApi.readNamespace({ name });
+    } catch (error) {
+      if (getStatusCode(error) === 404) {
+        return { name, deleted: true, namespace: null };
+      }
+      throw error;
+    }
+
+    const namespace = transformNamespaceData(current.body || current);
+    if (namespace.termination?.stuck) {
+      logger.warn(`Namespace ${name} is stuck terminating`, {
+        remainingFinalizers: namespace.termination.remainingFinalizers,
+        terminatingForSeconds: namespace.termination.terminatingForSeconds,
+      });
+    }
+    return { name, deleted: false, namespace };
+  } catch (error) {
+    logger.error(`Failed to delete namespace ${name}: ${error.message}`, {
+      namespaceName: name,
+      error: error.message,
+      stack: error.stack,
+    });
+    throw toNamespaceError(error, "delete", name);
+  }
+};
+
 export default {
   getAllNamespaces,
   getNamespaceByName,
+  getNamespaceSummary,
+  createNamespace,
+  patchNamespaceLabels,
+  deleteNamespace,
 };
@@ -1,18 +1,48 @@
 import { KubeConfig, CoreV1Api } from "@kubernetes/client-node";
 import logger from "../config/logger.js";
+import { httpError, toHttpError } from "../utils/k8s.errors.js";
 import { getPodMetrics } from "./pod/pod.metrics.js";
 import { transformPodData } from "./pod/pod.transformer.js";
 import {
   connectToPodTerminal as connectToTerminal,
   getPodLogs as getLogs,
+  getAllContainerLogs as getAllLogs,
   streamPodLogs as streamLogs,
 } from "./pod/pod.interaction.js";
+import {
+  deletePod as deletePodResource,
+  evictPod as evictPodResource,
+  restartPod as restartPodResource,
+} from "./pod/pod.lifecycle.js";
+import {
+  getPodEvents as getEvents,
+  diagnosePod as diagnose,
+} from "./pod/pod.diagnosis.js";
+import { ALLOWED_SHELLS, resolveShell } from "./pod/pod.shell.js";
+import { createDebugContainer } from "./pod/pod.debug.js";
+import { execCommand } from "./pod/pod.exec.js";
+import {
+  listDirectory,
+  statPath,
+  downloadPath,
+  uploadPath,
+} from "./pod/pod.files.js";
+import debugConfig from "../config/debug.js";
 
 const kubeConfig = new KubeConfig();
 kubeConfig.loadFromDefault();
 
 const k8sApi = kubeConfig.makeApiClient(CoreV1Api);
 
+const toPodError = (error, action, name, namespace) =>
+  toHttpError(error, {
+    action,
+    kind: "pod",
+    name,
+    namespace,
+    notFound: `Pod '${name}' not found in namespace '${namespace}'`,
+  });
+
 export const getAllPods = async (namespace = null) => {
   try {
     logger.debug("Calling Kubernetes API to list all pods", {
@@ -162,13 +192,23 @@ export const getPodsByNamespace = async (namespace) => {
   return getAllPods(namespace.trim());
 };
 
-export const connectToPodTerminal = (
+export const connectToPodTerminal = async (
   clientWs,
   namespace,
   podName,
   containerName,
-  shell
+  shell,
+  options = {}
 ) => {
+  const shellPath = shell ? resolveShell(shell) : undefined;
+  if (shellPath === null) {
+    const shells = Object.keys(ALLOWED_SHELLS).join(", ");
+    throw httpError(
+      `Shell '${shell}' is not allowed. Use one of: ${shells}`,
+      400
+    );
+  }
+
   return connectToTerminal(
     clientWs,
     kubeConfig,
@@ -176,30 +216,382 @@ export const connectToPodTerminal = (
     namespace,
     podName,
     containerName,
-    shell
+    shellPath,
+    options
   );
 };
 
-export const getPodLogs = (namespace, podName, containerName) => {
-  return getLogs(k8sApi, namespace, podName, containerName);
+export const execInPod = async (
+  namespace,
+  podName,
+  containerName,
+  command,
+  options = {}
+) => {
+  try {
+    logger.debug(
+      `Running command in pod: ${podName} in namespace: ${namespace}`,
+      { containerName, command }
+    );
+
+    return await execCommand(
+      kubeConfig,
+      k8sApi,
+      namespace,
+      podName,
+      containerName,
+      command,
+      options
+    );
+  } catch (error) {
+    logger.error(`Failed to exec in pod ${podName}: ${error.message}`, {
+      podName: podName,
+      namespace: namespace,
+      error: error.message,
+      stack: error.stack,
+    });
+    if (error.statusCode === 504) {
+      throw error;
+    }
+    throw toPodError(error, "exec in", podName, namespace);
+  }
 };
 
-export const streamPodLogs = (clientWs, namespace, podName, containerName) => {
+export const listPodFiles = async (
+  namespace,
+  podName,
+  containerName,
+  dirPath
+) => {
+  try {
+    logger.debug(`Listing ${dirPath} in pod: ${podName}`, {
+      namespace,
+      containerName,
+    });
+    return await listDirectory(
+      kubeConfig,
+      k8sApi,
+      namespace,
+      podName,
+      containerName,
+      dirPath
+    );
+  } catch (error) {
+    logger.error(`Failed to list files in pod ${podName}: ${error.message}`, {
+      podName: podName,
+      namespace: namespace,
+      path: dirPath,
+      error: error.message,
+    });
+    throw toPodError(error, "list files in", podName, namespace);
+  }
+};
+
+export const statPodPath = async (
+  namespace,
+  podName,
+  containerName,
+  filePath
+) => {
+  try {
+    return await statPath(
+      kubeConfig,
+      k8sApi,
+      namespace,
+      podName,
+      containerName,
+      filePath
+    );
+  } catch (error) {
+    logger.error(`Failed to inspect ${filePath} in pod ${podName}`, {
+      podName: podName,
+      namespace: namespace,
+      error: error.message,
+    });
+    throw toPodError(error, "read files in", podName, namespace);
+  }
+};
+
+export const downloadPodFiles = async (
+  namespace,
+  podName,
+  containerName,
+  filePath,
+  output
+) => {
+  try {
+    return await downloadPath(
+      kubeConfig,
+      k8sApi,
+      namespace,
+      podName,
+      containerName,
+      filePath,
+      output
+    );
+  } catch (error) {
+    logger.error(`Failed to download ${filePath} from pod ${podName}`, {
+      podName: podName,
+      namespace: namespace,
+      error: error.message,
+    });
+    throw toPodError(error, "download files from", podName, namespace);
+  }
+};
+
+export const uploadPodFiles = async (
+  namespace,
+  podName,
+  containerName,
+  filePath,
+  content,
+  options = {}
+) => {
+  try {
+    return await uploadPath(
+      kubeConfig,
+      k8sApi,
+      namespace,
+      podName,
+      containerName,
+      filePath,
+      content,
+      options
+    );
+  } catch (error) {
+    logger.error(`Failed to upload ${filePath} to pod ${podName}`, {
+      podName: podName,
+      namespace: namespace,
+      error: error.message,
+    });
+    throw toPodError(error, "upload files to", podName, namespace);
+  }
+};
+
+export const getPodLogs = async (
+  namespace,
+  podName,
+  containerName,
+  options = {}
+) => {
+  try {
+    return await getLogs(k8sApi, namespace, podName, containerName, options);
+  } catch (error) {
+    throw toPodError(error, "get logs of", podName, namespace);
+  }
+};
+
+export const getAllContainerLogs = async (namespace, podName, options = {}) => {
+  try {
+    return await getAllLogs(k8sApi, namespace, podName, options);
+  } catch (error) {
+    logger.error(
+      `Failed to get logs of all containers of pod ${podName}: ${error.message}`,
+      {
+        podName: podName,
+        namespace: namespace,
+        error: error.message,
+        stack: error.stack,
+      }
+    );
+    throw toPodError(error, "get logs of", podName, namespace);
+  }
+};
+
+export const streamPodLogs = (
+  clientWs,
+  namespace,
+  podName,
+  containerName,
+  options = {}
+) => {
   return streamLogs(
     clientWs,
     kubeConfig,
     k8sApi,
     namespace,
     podName,
-    containerName
+    containerName,
+    options
   );
 };
 
+export const deletePod = async (
+  namespace,
+  podName,
+  { gracePeriodSeconds, force = false } = {}
+) => {
+  try {
+    logger.debug(
+      `Calling Kubernetes API to delete pod: ${podName} in namespace: ${namespace}`,
+      { gracePeriodSeconds, force }
+    );
+
+    const pod = await deletePodResource(k8sApi, namespace, podName, {
+      gracePeriodSeconds,
+      force,
+    });
+
+    logger.info(`Successfully deleted pod: ${podName}`, { force });
+    return transformPodData(pod);
+  } catch (error) {
+    logger.error(`Failed to delete pod ${podName}: ${error.message}`, {
+      podName: podName,
+      namespace: namespace,
+      error: error.message,
+      stack: error.stack,
+    });
+    throw toPodError(error, "delete", podName, namespace);
+  }
+};
+
+export const evictPod = async (
+  namespace,
+  podName,
+  { gracePeriodSeconds } = {}
+) => {
+  try {
+    logger.debug(
+      `Calling Kubernetes API to evict pod: ${podName} in namespace: ${namespace}`
+    );
+
+    await evictPodResource(k8sApi, namespace, podName, { gracePeriodSeconds });
+
+    logger.info(`Successfully evicted pod: ${podName}`);
+  } catch (error) {
+    logger.error(`Failed to evict pod ${podName}: ${error.message}`, {
+      podName: podName,
+      namespace: namespace,
+      error: error.message,
+      stack: error.stack,
+    });
+    throw toPodError(error, "evict", podName, namespace);
+  }
+};
+
+export const restartPod = async (
+  namespace,
+  podName,
+  { timeoutSeconds } = {}
+) => {
+  try {
+    logger.debug(
+      `Restarting pod: ${podName} in namespace: ${namespace} by deleting it`
+    );
+
+    return await restartPodResource(k8sApi, namespace, podName, {
+      timeoutSeconds,
+    });
+  } catch (error) {
+    logger.error(`Failed to restart pod ${podName}: ${error.message}`, {
+      podName: podName,
+      namespace: namespace,
+      error: error.message,
+      stack: error.stack,
+    });
+    throw toPodError(error, "restart", podName, namespace);
+  }
+};
+
+// Adds an ephemeral debug container to a pod. Only the configured debug
+// images may be used.
+export const debugPod = async (
+  namespace,
+  podName,
+  { image = debugConfig.image, targetContainer, name, timeoutSeconds } = {}
+) => {
+  if (!debugConfig.allowedImages.includes(image)) {
+    throw httpError(
+      `Image '${image}' is not allowed for debug containers. Use one of: ${debugConfig.allowedImages.join(
+        ", "
+      )}`,
+      400
+    );
+  }
+
+  try {
+    logger.debug(
+      `Adding debug container to pod: ${podName} in namespace: ${namespace}`,
+      { image, targetContainer }
+    );
+
+    return await createDebugContainer(k8sApi, namespace, podName, {
+      image,
+      targetContainer,
+      name,
+      timeoutSeconds,
+    });
+  } catch (error) {
+    logger.error(`Failed to debug pod ${podName}: ${error.message}`, {
+      podName: podName,
+      namespace: namespace,
+      error: error.message,
+      stack: error.stack,
+    });
+    throw toPodError(error, "debug", podName, namespace);
+  }
+};
+
+export const getPodEvents = async (namespace, podName) => {
+  try {
+    logger.debug(
+      `Calling Kubernetes API to list events of pod: ${podName} in namespace: ${namespace}`
+    );
+
+    const events = await getEvents(k8sApi, namespace, podName);
+
+    logger.info(`Retrieved ${events.length} events for pod: ${podName}`);
+    return events;
+  } catch (error) {
+    logger.error(`Failed to fetch events of pod ${podName}: ${error.message}`, {
+      podName: podName,
+      namespace: namespace,
+      error: error.message,
+      stack: error.stack,
+    });
+    throw toPodError(error, "fetch events of", podName, namespace);
+  }
+};
+
+export const diagnosePod = async (namespace, podName) => {
+  try {
+    logger.debug(`Diagnosing pod: ${podName} in namespace: ${namespace}`);
+
+    const diagnosis = await diagnose(k8sApi, namespace, podName);
+
+    logger.info(`Diagnosed pod: ${podName}`, {
+      healthy: diagnosis.healthy,
+      findings: diagnosis.findings.map((finding) => finding.type),
+    });
+    return diagnosis;
+  } catch (error) {
+    logger.error(`Failed to diagnose pod ${podName}: ${error.message}`, {
+      podName: podName,
+      namespace: namespace,
+      error: error.message,
+      stack: error.stack,
+    });
+    throw toPodError(error, "diagnose", podName, namespace);
+  }
+};
+
 export default {
   getAllPods,
   getPodByName,
   getPodsByNamespace,
   connectToPodTerminal,
+  execInPod,
+  listPodFiles,
+  statPodPath,
+  downloadPodFiles,
+  uploadPodFiles,
   getPodLogs,
+  getAllContainerLogs,
   streamPodLogs,
+  deletePod,
+  evictPod,
+  restartPod,
+  debugPod,
+  getPodEvents,
+  diagnosePod,
 };
@@ -0,0 +1,148 @@
+import crypto from "crypto";
+import { PatchStrategy, setHeaderOptions } from "@kubernetes/client-node";
+import logger from "../../config/logger.js";
+import { httpError } from "../../utils/k8s.errors.js";
+
+const START_POLL_INTERVAL_MS = 1000;
+const CONTAINER_NAME_PATTERN = /^[a-z0-9]([-a-z0-9]{0,61}[a-z0-9])?$/;
+// Waiting reasons after which the debug container will not start by itself
+const FAILED_WAITING_REASONS = [
+  "ErrImagePull",
+  "ImagePullBackOff",
+  "InvalidImageName",
+  "CreateContainerError",
+  "CreateContainerConfigError",
+  "RunContainerError",
+];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const findStatus = (pod, name) =>
+  pod.status?.ephemeralContainerStatuses?.find(
+    (status) => status.name === name
+  );
+
+// Adds an ephemeral container to a running pod through the
+// ephemeralcontainers subresource, like `kubectl debug --target`, and waits
+// until it runs. The container shares the process namespace of
+// `targetContainer` (the first container by default) and keeps stdin and a
+// TTY open, so the terminal WebSocket can be opened into it.
+export const createDebugContainer = async (
+  k8sApi,
+  namespace,
+  podName,
+  { image, targetContainer, name, timeoutSeconds = 60 } = {}
+) => {
+  const res = await k8sApi.readNamespacedPod({
+    name: podName,
+    namespace: namespace,
+  });
+  const pod = res.body || res;
+
+  if (pod.status?.phase !== "Running") {
+    throw httpError(
+      `Pod '${podName}' is ${
+        pod.status?.phase || "not running"
+      }; debug containers can only be added to running pods`,
+      409
+    );
+  }
+
+  const containerNames = (pod.spec?.containers || []).map((c) => c.name);
+  const target = targetContainer || containerNames[0];
+  if (!containerNames.includes(target)) {
+    throw httpError(
+      `Pod '${podName}' has no container '${target}'. Available containers: ${containerNames.join(
+        ", "
+      )}`,
+      400
+    );
+  }
+
+  const containerName =
+    name || `debugger-${crypto.randomBytes(3).toString("hex")}`;
+  if (!CONTAINER_NAME_PATTERN.test(containerName)) {
+    throw httpError(
+      `Invalid container name '${containerName}': use lowercase letters, digits and '-'`,
+      400
+    );
+  }
+  const existingNames = [
+    ...containerNames,
+    ...(pod.spec?.initContainers || []).map((c) => c.name),
+    ...(pod.spec?.ephemeralContainers || []).map((c) => c.name),
+  ];
+  if (existingNames.includes(containerName)) {
+    throw httpError(
+      `Pod '${podName}' already has a container named '${containerName}'`,
+      409
+    );
+  }
+
+  await k8sApi.patchNamespacedPodEphemeralcontainers(
+    {
+      name: podName,
+      namespace: namespace,
+      body: {
+        spec: {
+          ephemeralContainers: [
+            {
+              name: containerName,
+              image: image,
+              targetContainerName: target,
+              stdin: true,
+              tty: true,
+              terminationMessagePolicy: "File",
+            },
+          ],
+        },
+      },
+    },
+    setHeaderOptions("Content-Type", PatchStrategy.StrategicMergePatch)
+  );
+
+  logger.info(`Added debug container ${containerName} to pod ${podName}`, {
+    namespace,
+    image,
+    targetContainer: target,
+  });
+
+  const deadline = Date.now() + timeoutSeconds * 1000;
+  while (Date.now() < deadline) {
+    const podRes = await k8sApi.readNamespacedPod({
+      name: podName,
+      namespace: namespace,
+    });
+    const status = findStatus(podRes.body || podRes, containerName);
+    const waiting = status?.state?.waiting;
+    const terminated = status?.state?.terminated;
+
+    if (status?.state?.running) {
+      return {
+        pod: podName,
+        namespace: namespace,
+        container: containerName,
+        image: image,
+        targetContainer: target,
+        state: status.state,
+        terminal: `/api/namespaces/${namespace}/pods/${podName}/terminal?containerName=${containerName}`,
+      };
+    }
+    if (FAILED_WAITING_REASONS.includes(waiting?.reason) || terminated) {
+      const reason = waiting
+        ? `${waiting.reason}: ${waiting.message || "no details"}`
+        : `terminated with exit code ${terminated.exitCode}`;
+      throw httpError(
+        `Debug container '${containerName}' failed to start (${reason})`,
+        502
+      );
+    }
+
+    await sleep(START_POLL_INTERVAL_MS);
+  }
+
+  throw httpError(
+    `Debug container '${containerName}' did not start within ${timeoutSeconds} seconds`,
+    504
+  );
+};
@@ -0,0 +1,288 @@
+import logger from "../../config/logger.js";
+import { transformPodData } from "./pod.transformer.js";
+
+const PREVIOUS_LOG_TAIL_LINES = 20;
+const IMAGE_PULL_REASONS = [
+  "ImagePullBackOff",
+  "ErrImagePull",
+  "InvalidImageName",
+];
+// Waiting reasons that are part of a normal start-up
+const TRANSIENT_WAITING_REASONS = ["ContainerCreating", "PodInitializing"];
+
+const transformEvent = (event) => ({
+  type: event.type,
+  reason: event.reason,
+  message: event.message,
+  count: event.count || event.series?.count || 1,
+  firstTimestamp: event.firstTimestamp || event.eventTime,
+  lastTimestamp:
+    event.lastTimestamp || event.series?.lastObservedTime || event.eventTime,
+  source: event.source?.component || event.reportingComponent,
+});
+
+// Events involving the pod, most recent first.
+const listPodEvents = async (k8sApi, namespace, podName) => {
+  const res = await k8sApi.listNamespacedEvent({
+    namespace,
+    fieldSelector: `involvedObject.kind=Pod,involvedObject.name=${podName}`,
+  });
+  const responseData = res.body || res;
+
+  return (responseData.items || [])
+    .map(transformEvent)
+    .sort(
+      (a, b) =>
+        new Date(b.lastTimestamp || 0).getTime() -
+        new Date(a.lastTimestamp || 0).getTime()
+    );
+};
+
+// Events of an existing pod. Listing events by field selector succeeds for
+// any name, so the pod is read first to report a missing pod as a 404.
+export const getPodEvents = async (k8sApi, namespace, podName) => {
+  await k8sApi.readNamespacedPod({ name: podName, namespace: namespace });
+  return listPodEvents(k8sApi, namespace, podName);
+};
+
+// Logs of the previous instance of a container, or null when there are none
+// (e.g. the container never restarted or the logs were rotated away).
+const getPreviousLogs = async (k8sApi, namespace, podName, containerName) => {
+  try {
+    const res = await k8sApi.readNamespacedPodLog({
+      name: podName,
+      namespace: namespace,
+      container: containerName,
+      previous: true,
+      tailLines: PREVIOUS_LOG_TAIL_LINES,
+    });
+    const logs = typeof res === "string" ? res : res?.body;
+    return logs ? logs.split("\n").filter(Boolean) : null;
+  } catch (error) {
+    logger.debug(`No previous logs for ${podName}/${containerName}`, {
+      error: error.message,
+    });
+    return null;
+  }
+};
+
+const describeTermination = (terminated) => {
+  if (!terminated) {
+    return "";
+  }
+  const parts = [`exit code ${terminated.exitCode}`];
+  if (terminated.reason) {
+    parts.push(terminated.reason);
+  }
+  return ` (last exit: ${parts.join(", ")})`;
+};
+
+const diagnoseContainer = (container, events) => {
+  const waiting = container.state?.waiting;
+  const terminated = container.state?.terminated;
+  const lastTerminated = container.lastState?.terminated;
+  const memoryLimit = container.resources?.limits?.memory;
+
+  // An OOM kill of a previous instance only matters while the container has
+  // not recovered from it.
+  const isOomKilled =
+    terminated?.reason === "OOMKilled" ||
+    (lastTerminated?.reason === "OOMKilled" && !container.ready);
+
+  if (isOomKilled) {
+    return {
+      type: "OOMKilled",
+      container: container.name,
+      reason: memoryLimit
+        ? `Container '${container.name}' was killed for exceeding its memory limit of ${memoryLimit}; raise the limit or reduce the memory usage`
+        : `Container '${container.name}' was killed because the node ran out of memory; set memory requests and limits`,
+      restartCount: container.restartCount,
+    };
+  }
+
+  if (waiting?.reason === "CrashLoopBackOff") {
+    const lastExit = describeTermination(lastTerminated);
+    return {
+      type: "CrashLoopBackOff",
+      container: container.name,
+      reason: `Container '${container.name}' keeps crashing and has been restarted ${container.restartCount} times${lastExit}; check the previous logs for the cause`,
+      restartCount: container.restartCount,
+    };
+  }
+
+  if (IMAGE_PULL_REASONS.includes(waiting?.reason)) {
+    const pullEvent = events.find(
+      (event) =>
+        event.type === "Warning" &&
+        event.reason === "Failed" &&
+        event.message?.includes(container.image)
+    );
+    const cause = pullEvent?.message || waiting.message || waiting.reason;
+    return {
+      type: "ImagePullBackOff",
+      container: container.name,
+      reason: `Image '${container.image}' of container '${container.name}' cannot be pulled: ${cause}. Check the image name and tag and the registry credentials (imagePullSecrets)`,
+    };
+  }
+
+  if (waiting?.reason && !TRANSIENT_WAITING_REASONS.includes(waiting.reason)) {
+    return {
+      type: waiting.reason,
+      container: container.name,
+      reason: `Container '${container.name}' is waiting: ${
+        waiting.message || waiting.reason
+      }`,
+    };
+  }
+
+  return null;
+};
+
+// Finds the PersistentVolumeClaims of the pod that are not bound yet.
+const getUnboundClaims = async (k8sApi, namespace, pod) => {
+  const claimNames = (pod.spec?.volumes || [])
+    .map((volume) => volume.persistentVolumeClaim?.claimName)
+    .filter(Boolean);
+
+  const unbound = [];
+  for (const claimName of claimNames) {
+    try {
+      const res = await k8sApi.readNamespacedPersistentVolumeClaim({
+        name: claimName,
+        namespace: namespace,
+      });
+      const claim = res.body || res;
+      if (claim.status?.phase !== "Bound") {
+        unbound.push({
+          name: claimName,
+          phase: claim.status?.phase || "Unknown",
+        });
+      }
+    } catch (error) {
+      unbound.push({ name: claimName, phase: "Missing" });
+    }
+  }
+  return unbound;
+};
+
+const diagnoseScheduling = async (k8sApi, namespace, pod, events) => {
+  const scheduled = pod.status?.conditions?.find(
+    (c) => c.type === "PodScheduled"
+  );
+  if (pod.status?.phase !== "Pending" || scheduled?.status !== "False") {
+    return [];
+  }
+
+  const schedulingMessage =
+    events.find((event) => event.reason === "FailedScheduling")?.message ||
+    scheduled.message ||
+    "";
+  const findings = [];
+
+  const unboundClaims = await getUnboundClaims(k8sApi, namespace, pod);
+  if (
+    unboundClaims.length > 0 ||
+    /unbound.*PersistentVolumeClaim/i.test(schedulingMessage)
+  ) {
+    findings.push({
+      type: "UnboundPVC",
+      reason: `Pod cannot be scheduled because ${
+        unboundClaims.length > 0
+          ? unboundClaims
+              .map(
+                (claim) =>
+                  `PersistentVolumeClaim '${claim.name}' is ${claim.phase}`
+              )
+              .join(", ")
+          : "a PersistentVolumeClaim is not bound"
+      }; check the storage class and available PersistentVolumes`,
+      claims: unboundClaims,
+    });
+  }
+
+  const insufficient = [
+    ...schedulingMessage.matchAll(/Insufficient ([\w./-]+)/g),
+  ].map((match) => match[1]);
+  if (insufficient.length > 0) {
+    const resources = [...new Set(insufficient)].join(", ");
+    findings.push({
+      type: "InsufficientResources",
+      reason: `Pod cannot be scheduled: no node has enough ${resources} to satisfy its requests; lower the requests or add capacity`,
+      message: schedulingMessage,
+    });
+  }
+
+  if (findings.length === 0) {
+    findings.push({
+      type: "Unschedulable",
+      reason: `Pod cannot be scheduled: ${
+        schedulingMessage || scheduled.reason || "no reason reported"
+      }`,
+    });
+  }
+
+  return findings;
+};
+
+// Classifies common failures of a pod from its status, its events and the
+// logs of crashed containers, each with a human-readable reason.
+export const diagnosePod = async (k8sApi, namespace, podName) => {
+  const res = await k8sApi.readNamespacedPod({
+    name: podName,
+    namespace: namespace,
+  });
+  const pod = res.body || res;
+  const podData = transformPodData(pod);
+  const events = await listPodEvents(k8sApi, namespace, podName);
+
+  // Init containers are diagnosed the same way; transformPodData only covers
+  // the regular containers.
+  const initContainers = (pod.status?.initContainerStatuses || []).map(
+    (status) => ({
+      ...status,
+      resources:
+        pod.spec?.initContainers?.find((c) => c.name === status.name)
+          ?.resources || {},
+    })
+  );
+
+  const findings = [
+    ...(await diagnoseScheduling(k8sApi, namespace, pod, events)),
+  ];
+  for (const container of [...initContainers, ...podData.containers]) {
+    const finding = diagnoseContainer(container, events);
+    if (!finding) {
+      continue;
+    }
+    if (container.lastState?.terminated) {
+      finding.previousLogs = await getPreviousLogs(
+        k8sApi,
+        namespace,
+        podName,
+        container.name
+      );
+    }
+    findings.push(finding);
+  }
+
+  return {
+    pod: podName,
+    namespace: namespace,
+    phase: podData.status.phase,
+    ready: podData.status.ready,
+    healthy: findings.length === 0,
+    summary:
+      findings.length > 0
+        ? findings.map((finding) => finding.reason).join("\n")
+        : "No problems detected",
+    findings: findings,
+    containers: [...initContainers, ...podData.containers].map((container) => ({
+      name: container.name,
+      ready: container.ready,
+      restartCount: container.restartCount,
+      state: container.state,
+      lastState: container.lastState,
+    })),
+    events: events,
+  };
+};
@@ -0,0 +1,160 @@
+import { Exec } from "@kubernetes/client-node";
+import stream from "stream";
+import logger from "../../config/logger.js";
+import { httpError } from "../../utils/k8s.errors.js";
+import { parseExitStatus } from "./pod.terminal.js";
+
+// Output beyond this size is dropped and reported as truncated
+const MAX_OUTPUT_BYTES = 1024 * 1024;
+
+// The only exec protocol with a frame that closes stdin (Kubernetes 1.30+).
+// With older ones the client ends stdin by closing the connection, which
+// cuts the command off before it has read all of its input.
+const STDIN_CLOSE_PROTOCOL = "v5.channel.k8s.io";
+
+// Writable that keeps the first MAX_OUTPUT_BYTES written to it.
+const createOutputCollector = () => {
+  const chunks = [];
+  let size = 0;
+  const collector = new stream.Writable({
+    write(chunk, encoding, callback) {
+      if (size < MAX_OUTPUT_BYTES) {
+        chunks.push(chunk.subarray(0, MAX_OUTPUT_BYTES - size));
+      }
+      size += chunk.length;
+      callback();
+    },
+  });
+  collector.result = () => ({
+    output: Buffer.concat(chunks).toString("utf8"),
+    truncated: size > MAX_OUTPUT_BYTES,
+  });
+  return collector;
+};
+
+// Runs a command in a container without a TTY and waits for it to finish.
+// Resolves { container, command, exitCode, status, message, stdout, stderr,
+// stdoutTruncated, stderrTruncated, durationMs }. A command that cannot be
+// started (e.g. not found in the image) resolves with exitCode null and the
+// reason in `message`. Rejects with statusCode 504 after `timeoutSeconds`.
+// Streams passed as `stdin` and `stdout` are connected to the command instead
+// (stdout is then not collected), e.g. to copy files with tar. Commands with
+// `stdin` reject with statusCode 501 when the cluster cannot close stdin.
+export const execCommand = async (
+  kubeConfig,
+  k8sApi,
+  namespace,
+  podName,
+  containerName,
+  command,
+  { timeoutSeconds = 30, stdin = null, stdout: output = null } = {}
+) => {
+  // Reading the pod first turns a missing pod or container into a clear
+  // error instead of a failed WebSocket handshake.
+  const res = await k8sApi.readNamespacedPod({
+    name: podName,
+    namespace: namespace,
+  });
+  const pod = res.body || res;
+  const containerNames = [
+    ...(pod.spec?.containers || []),
+    ...(pod.spec?.ephemeralContainers || []),
+  ].map((container) => container.name);
+
+  const targetContainer = containerName || containerNames[0];
+  if (!containerNames.includes(targetContainer)) {
+    throw httpError(
+      `Pod '${podName}' has no container '${targetContainer}'. Available containers: ${containerNames.join(
+        ", "
+      )}`,
+      400
+    );
+  }
+
+  const exec = new Exec(kubeConfig);
+  const stdout = output || createOutputCollector();
+  const stderr = createOutputCollector();
+  // stdin is only connected once the protocol is known to support closing it
+  const input = stdin ? new stream.PassThrough() : null;
+  const startedAt = Date.now();
+
+  let connection;
+  const status = await new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      reject(
+        httpError(
+          `Command did not finish within ${timeoutSeconds} seconds`,
+          504
+        )
+      );
+      connection?.close();
+    }, timeoutSeconds * 1000);
+
+    exec
+      .exec(
+        namespace,
+        podName,
+        targetContainer,
+        command,
+        stdout,
+        stderr,
+        input,
+        false,
+        (result) => {
+          clearTimeout(timeout);
+          resolve(result);
+        }
+      )
+      .then((conn) => {
+        connection = conn;
+        // The connection closes without a status when the exec is aborted
+        conn.on("close", () => {
+          clearTimeout(timeout);
+          reject(
+            new Error("Exec connection closed before the command finished")
+          );
+        });
+        if (!stdin) {
+          return;
+        }
+        if (conn.protocol !== STDIN_CLOSE_PROTOCOL) {
+          clearTimeout(timeout);
+          reject(
+            httpError(
+              `Sending input to a command needs the ${STDIN_CLOSE_PROTOCOL} exec protocol (Kubernetes 1.30 or later), which the cluster did not accept`,
+              501
+            )
+          );
+          conn.close();
+          return;
+        }
+        stdin.pipe(input);
+      })
+      .catch((error) => {
+        clearTimeout(timeout);
+        reject(error);
+      });
+  });
+
+  const exitStatus = parseExitStatus(status);
+  const out = output ? { output: null, truncated: false } : stdout.result();
+  const err = stderr.result();
+
+  logger.debug(`Command finished in ${podName}/${targetContainer}`, {
+    command,
+    exitCode: exitStatus.exitCode,
+  });
+
+  return {
+    container: targetContainer,
+    command: command,
+    exitCode: exitStatus.exitCode,
+    status: exitStatus.status,
+    message: exitStatus.message,
+    stdout: out.output,
+    stderr: err.output,
+    stdoutTruncated: out.truncated,
+    stderrTruncated: err.truncated,
+    durationMs: Date.now() - startedAt,
+  };
+};
@@ -0,0 +1,393 @@
+import path from "path";
+import stream from "stream";
+import logger from "../../config/logger.js";
+import { httpError } from "../../utils/k8s.errors.js";
+import { execCommand } from "./pod.exec.js";
+
+// File transfer works like `kubectl cp`: tar runs in the container and the
+// archive is streamed over exec, so the image needs `tar` (and `ls`/`du` for
+// listings and size checks), but no shell.
+
+const TRANSFER_TIMEOUT_SECONDS = 300;
+const TAR_BLOCK_SIZE = 512;
+
+// `ls -l` line: permissions, links, owner, group, size (or "major, minor"
+// for devices), date as three fields, and the name.
+const LS_LINE_PATTERN =
+  /^([-a-zA-Z][-rwxsStTl]{9}\S*)\s+\d+\s+(\S+)\s+(\S+)\s+(\d+|\d+,\s*\d+)\s+(\S+\s+\d+\s+[\d:]+)\s(.*)$/;
+
+const FILE_TYPES = {
+  "-": "file",
+  d: "directory",
+  l: "symlink",
+};
+
+// Normalizes an absolute path inside the container. Throws on relative paths.
+export const normalizeContainerPath = (filePath) => {
+  if (
+    typeof filePath !== "string" ||
+    !filePath.startsWith("/") ||
+    filePath.includes("\0")
+  ) {
+    throw httpError("path must be an absolute path", 400);
+  }
+  const normalized = path.posix.normalize(filePath);
+  return normalized.length > 1 ? normalized.replace(/\/+$/, "") : normalized;
+};
+
+// Turns a failed command into an error: 404 when the path does not exist.
+const toFileError = (result, filePath) => {
+  const message =
+    result.stderr.trim() || result.message || "command failed in container";
+  if (/No such file|not found|cannot access/i.test(message)) {
+    return httpError(`Path '${filePath}' not found in container`, 404);
+  }
+  return httpError(message, 400);
+};
+
+const parseLsLine = (line) => {
+  const match = line.match(LS_LINE_PATTERN);
+  if (!match) {
+    return null;
+  }
+  const [, permissions, owner, group, size, modified, rest] = match;
+  const type = FILE_TYPES[permissions[0]] || "other";
+  const [name, target] =
+    type === "symlink" ? rest.split(" -> ") : [rest, undefined];
+
+  return {
+    name: name,
+    type: type,
+    size: /^\d+$/.test(size) ? parseInt(size, 10) : null,
+    permissions: permissions,
+    owner: owner,
+    group: group,
+    modified: modified.replace(/\s+/g, " "),
+    target: target,
+  };
+};
+
+// Runs a command on behalf of a transfer; `target` holds the kubeConfig,
+// API client, namespace, pod and container.
+const runInContainer = (target, command, options) =>
+  execCommand(
+    target.kubeConfig,
+    target.k8sApi,
+    target.namespace,
+    target.podName,
+    target.containerName,
+    command,
+    { timeoutSeconds: TRANSFER_TIMEOUT_SECONDS, ...options }
+  );
+
+// Lists a directory in a container (a file path lists just that file).
+export const listDirectory = async (
+  kubeConfig,
+  k8sApi,
+  namespace,
+  podName,
+  containerName,
+  dirPath
+) => {
+  const target = { kubeConfig, k8sApi, namespace, podName, containerName };
+  const normalized = normalizeContainerPath(dirPath);
+  const result = await runInContainer(target, ["ls", "-lA", normalized]);
+  if (result.exitCode !== 0) {
+    throw toFileError(result, normalized);
+  }
+
+  const entries = result.stdout
+    .split("\n")
+    .map(parseLsLine)
+    .filter(Boolean)
+    // A file path is listed with its full path as name
+    .map((entry) => ({ ...entry, name: path.posix.basename(entry.name) }));
+
+  return {
+    container: result.container,
+    path: normalized,
+    entries: entries,
+  };
+};
+
+// Type and size of a path; directories are measured with `du` (in KiB).
+export const statPath = async (
+  kubeConfig,
+  k8sApi,
+  namespace,
+  podName,
+  containerName,
+  filePath
+) => {
+  const target = { kubeConfig, k8sApi, namespace, podName, containerName };
+  const normalized = normalizeContainerPath(filePath);
+  const result = await runInContainer(target, ["ls", "-ld", normalized]);
+  if (result.exitCode !== 0) {
+    throw toFileError(result, normalized);
+  }
+  const entry = parseLsLine(result.stdout.trim());
+  if (!entry) {
+    throw httpError(`Cannot read the attributes of '${normalized}'`, 400);
+  }
+
+  let size = entry.size;
+  if (entry.type === "directory") {
+    const du = await runInContainer(target, ["du", "-sk", normalized]);
+    if (du.exitCode !== 0) {
+      throw toFileError(du, normalized);
+    }
+    size = parseInt(du.stdout, 10) * 1024;
+  }
+
+  return {
+    container: result.container,
+    path: normalized,
+    type: entry.type,
+    size: size,
+  };
+};
+
+// Writes a tar archive of the path to `output`. The archive holds the file or
+// directory under its own name, as `tar cf - -C <parent> -- <name>` creates
+// it; `--` keeps a name such as `--to-command=...` from being read as an
+// option.
+export const downloadPath = async (
+  kubeConfig,
+  k8sApi,
+  namespace,
+  podName,
+  containerName,
+  filePath,
+  output
+) => {
+  const target = { kubeConfig, k8sApi, namespace, podName, containerName };
+  const normalized = normalizeContainerPath(filePath);
+  const parent = path.posix.dirname(normalized);
+  const name = path.posix.basename(normalized) || ".";
+
+  // The exec client ends its stdout as soon as the exit status arrives, so
+  // tar writes to `archive` and `output` is only ended once the exit code
+  // says the archive is complete. Until the first chunk reaches `output` a
+  // failure can still be reported as an error response.
+  const archive = new stream.PassThrough();
+  archive.pipe(output, { end: false });
+  // A client that goes away stops reading, which would leave `archive`
+  // waiting for its data to be consumed
+  output.once("close", () => archive.destroy());
+  try {
+    const result = await runInContainer(
+      target,
+      ["tar", "cf", "-", "-C", parent, "--", name],
+      { stdout: archive }
+    );
+    if (result.exitCode !== 0) {
+      throw toFileError(result, normalized);
+    }
+    await stream.promises.finished(archive);
+    output.end();
+    return result;
+  } catch (error) {
+    archive.unpipe(output);
+    archive.destroy();
+    throw error;
+  }
+};
+
+const writeTarField = (header, value, offset, length) => {
+  header.write(value, offset, Math.min(Buffer.byteLength(value), length));
+};
+
+const toOctal = (value, length) =>
+  `${value.toString(8).padStart(length - 1, "0")}\0`;
+
+// Builds a ustar archive holding a single regular file.
+export const createTarArchive = (name, content, mode = 0o644) => {
+  if (Buffer.byteLength(name) > 100) {
+    throw httpError("File name must not be longer than 100 bytes", 400);
+  }
+
+  const header = Buffer.alloc(TAR_BLOCK_SIZE);
+  writeTarField(header, name, 0, 100);
+  writeTarField(header, toOctal(mode, 8), 100, 8);
+  writeTarField(header, toOctal(0, 8), 108, 8); // uid
+  writeTarField(header, toOctal(0, 8), 116, 8); // gid
+  writeTarField(header, toOctal(content.length, 12), 124, 12);
+  writeTarField(header, toOctal(Math.floor(Date.now() / 1000), 12), 136, 12);
+  writeTarField(header, "        ", 148, 8); // checksum placeholder
+  writeTarField(header, "0", 156, 1); // regular file
+  writeTarField(header, "ustar\0", 257, 6);
+  writeTarField(header, "00", 263, 2);
+
+  const checksum = header.reduce((sum, byte) => sum + byte, 0);
+  writeTarField(header, `${checksum.toString(8).padStart(6, "0")}\0 `, 148, 8);
+
+  const padding =
+    (TAR_BLOCK_SIZE - (content.length % TAR_BLOCK_SIZE)) % TAR_BLOCK_SIZE;
+  return Buffer.concat([
+    header,
+    content,
+    Buffer.alloc(padding),
+    Buffer.alloc(TAR_BLOCK_SIZE * 2),
+  ]);
+};
+
+const readTarField = (header, offset, length) => {
+  const field = header.subarray(offset, offset + length);
+  const end = field.indexOf(0);
+  return field.subarray(0, end === -1 ? length : end).toString();
+};
+
+const isOutsidePath = (name) =>
+  name.startsWith("/") || name.split("/").includes("..");
+
+// Reads the `path` and `linkpath` records of a pax extended header.
+const readPaxRecords = (data) => {
+  const records = {};
+  let offset = 0;
+  while (offset < data.length) {
+    const space = data.indexOf(0x20, offset);
+    if (space === -1) {
+      break;
+    }
+    const length = parseInt(data.subarray(offset, space).toString(), 10);
+    if (!(length > 0)) {
+      break;
+    }
+    const record = data.subarray(space + 1, offset + length - 1).toString();
+    const separator = record.indexOf("=");
+    records[record.slice(0, separator)] = record.slice(separator + 1);
+    offset += length;
+  }
+  return records;
+};
+
+// Refuses archives with members that would land outside the target
+// directory: absolute names, `..` components, and links pointing out of it.
+// Not every tar in a container image strips these on extraction.
+export const assertSafeArchive = (archive) => {
+  let offset = 0;
+  let longName = null;
+  let longLinkName = null;
+  let pax = {};
+
+  while (offset + TAR_BLOCK_SIZE <= archive.length) {
+    const header = archive.subarray(offset, offset + TAR_BLOCK_SIZE);
+    if (header.every((byte) => byte === 0)) {
+      return;
+    }
+
+    const size = parseInt(readTarField(header, 124, 12).trim() || "0", 8);
+    if (Number.isNaN(size)) {
+      throw httpError("content is not a valid tar archive", 400);
+    }
+    const type = readTarField(header, 156, 1);
+    const dataStart = offset + TAR_BLOCK_SIZE;
+    const data = archive.subarray(dataStart, dataStart + size);
+    offset = dataStart + Math.ceil(size / TAR_BLOCK_SIZE) * TAR_BLOCK_SIZE;
+
+    if (type === "L") {
+      longName = readTarField(data, 0, data.length);
+      continue;
+    }
+    if (type === "K") {
+      longLinkName = readTarField(data, 0, data.length);
+      continue;
+    }
+    if (type === "x") {
+      pax = readPaxRecords(data);
+      continue;
+    }
+    if (type === "g") {
+      continue;
+    }
+
+    // Only POSIX ustar headers have a name prefix; GNU headers keep other
+    // fields there
+    const prefix =
+      readTarField(header, 257, 6) === "ustar"
+        ? readTarField(header, 345, 155)
+        : "";
+    const baseName = readTarField(header, 0, 100);
+    const name =
+      pax.path ?? longName ?? (prefix ? `${prefix}/${baseName}` : baseName);
+    if (isOutsidePath(name)) {
+      throw httpError(
+        `Archive member '${name}' would be extracted outside the target directory`,
+        400
+      );
+    }
+
+    // Hard links name another member of the archive; relative symbolic
+    // links are resolved from the directory holding them.
+    const linkName =
+      pax.linkpath ?? longLinkName ?? readTarField(header, 157, 100);
+    const linkTarget =
+      type === "2" && !linkName.startsWith("/")
+        ? path.posix.join(path.posix.dirname(name), linkName)
+        : linkName;
+    if ((type === "1" || type === "2") && isOutsidePath(linkTarget)) {
+      throw httpError(
+        `Archive member '${name}' links outside the target directory`,
+        400
+      );
+    }
+
+    longName = null;
+    longLinkName = null;
+    pax = {};
+  }
+};
+
+// Uploads content into the container. A plain file is written to `filePath`
+// (replacing an existing file); with `archive` the content is a tar archive
+// extracted into the directory `filePath`.
+export const uploadPath = async (
+  kubeConfig,
+  k8sApi,
+  namespace,
+  podName,
+  containerName,
+  filePath,
+  content,
+  { archive = false } = {}
+) => {
+  const target = { kubeConfig, k8sApi, namespace, podName, containerName };
+  const normalized = normalizeContainerPath(filePath);
+  if (!archive && normalized === "/") {
+    throw httpError("path must name a file", 400);
+  }
+
+  const directory = archive ? normalized : path.posix.dirname(normalized);
+  if (archive) {
+    assertSafeArchive(content);
+  }
+  const tarball = archive
+    ? content
+    : createTarArchive(path.posix.basename(normalized), content);
+
+  const stdin = new stream.PassThrough();
+  stdin.end(tarball);
+
+  const result = await runInContainer(
+    target,
+    ["tar", "xf", "-", "-C", directory],
+    { stdin }
+  );
+  if (result.exitCode !== 0) {
+    throw toFileError(result, directory);
+  }
+
+  logger.info(`Uploaded ${content.length} bytes to ${normalized}`, {
+    namespace,
+    podName,
+    container: result.container,
+    archive,
+  });
+
+  return {
+    container: result.container,
+    path: normalized,
+    size: content.length,
+    archive: archive,
+  };
+};
@@ -1,7 +1,35 @@
-import { Exec, Log } from "@kubernetes/client-node";
+import { Exec } from "@kubernetes/client-node";
 import stream from "stream";
+import { StringDecoder } from "string_decoder";
 import logger from "../../config/logger.js";
+import { getStatusCode, getApiErrorMessage } from "../../utils/k8s.errors.js";
+import { followContainerLogs, createLogSession } from "./pod.logs.js";
+import {
+  CHANNELS,
+  encodeFrame,
+  decodeFrame,
+  parseTerminalSize,
+  createResizableStream,
+  parseExitStatus,
+} from "./pod.terminal.js";
+import { detectShell } from "./pod.shell.js";
+import { closeWebSocket } from "../../utils/ws.close.js";
 
+const KEEPALIVE_INTERVAL_MS = 30000;
+const MAX_PENDING_INPUT_BYTES = 64 * 1024;
+
+// Opens an interactive shell in a container: `shell` (an allowlisted path, see
+// pod.shell.js) if the container has it, otherwise the first of bash, sh and
+// ash found there. By default every WebSocket
+// message is written to stdin and output is sent as text. With `framed`,
+// the channel protocol of pod.terminal.js is used: raw bytes on separate
+// stdin/stdout/stderr channels, resize and ping messages, and the exit status
+// before the connection is closed. When a `recorder` (see
+// recording.service.js) is given, the session is recorded from the moment the
+// exec is set up; failing to start the recording refuses the session.
+// Messages the client sends while the shell is detected and the exec is set
+// up are held back and replayed once the terminal is attached; more than
+// MAX_PENDING_INPUT_BYTES of them closes the connection.
 export const connectToPodTerminal = async (
   clientWs,
   kubeConfig,
@@ -9,11 +37,36 @@ export const connectToPodTerminal = async (
   namespace,
   podName,
   containerName,
-  shell
+  shell,
+  { framed = false, columns, rows, recorder } = {}
 ) => {
+  let pendingInput = [];
+  let pendingBytes = 0;
+  const holdInput = (data, isBinary) => {
+    pendingBytes += data.length;
+    if (pendingBytes > MAX_PENDING_INPUT_BYTES) {
+      clientWs.off("message", holdInput);
+      pendingInput = [];
+      closeWebSocket(
+        clientWs,
+        1009,
+        "Too much input before the terminal was ready"
+      );
+      return;
+    }
+    pendingInput.push([data, isBinary]);
+  };
+  clientWs.on("message", holdInput);
+
   const exec = new Exec(kubeConfig);
-  const command = shell ? [shell] : ["/bin/sh"];
   let targetContainer = containerName;
+  // Ending a recording is not awaited; its failures are only logged
+  const endRecording = (exitStatus) =>
+    recorder?.end(exitStatus).catch((error) =>
+      logger.error("Failed to end terminal recording", {
+        error: error.message,
+      })
+    );
 
   try {
     // If no container name is provided, get it from the pod spec
@@ -25,23 +78,62 @@ export const connectToPodTerminal = async (
         name: podName,
         namespace: namespace,
       });
-      if (pod.body.spec.containers && pod.body.spec.containers.length > 0) {
-        targetContainer = pod.body.spec.containers[0].name;
+      const podData = pod.body || pod;
+      if (podData.spec.containers && podData.spec.containers.length > 0) {
+        targetContainer = podData.spec.containers[0].name;
         logger.info(`Using first container found: ${targetContainer}`);
       } else {
         throw new Error(`No containers found in pod: ${podName}`);
       }
     }
 
+    const command = [
+      await detectShell(exec, namespace, podName, targetContainer, shell),
+    ];
+
     logger.info(
-      `Attempting to exec into pod: ${podName}, container: ${targetContainer}`
+      `Attempting to exec into pod: ${podName}, container: ${targetContainer}, shell: ${command[0]}`
     );
 
-    // Create streams for proper I/O handling
-    const stdout = new stream.PassThrough();
+    // Create streams for proper I/O handling. stdout carries the terminal
+    // size, so the exec TTY is resized along with the client's terminal.
+    const stdout = createResizableStream({ columns, rows });
     const stderr = new stream.PassThrough();
     const stdin = new stream.PassThrough();
 
+    if (recorder) {
+      try {
+        await recorder.start({
+          container: targetContainer,
+          command,
+          columns: stdout.columns,
+          rows: stdout.rows,
+        });
+      } catch (error) {
+        throw new Error(`Failed to start terminal recording: ${error.message}`);
+      }
+    }
+
+    // Text mode decodes output per stream so multi-byte characters split
+    // across chunks are not mangled.
+    const decoders = {
+      [CHANNELS.STDOUT]: new StringDecoder("utf8"),
+      [CHANNELS.STDERR]: new StringDecoder("utf8"),
+    };
+    const sendOutput = (channel, data) => {
+      if (clientWs.readyState !== clientWs.OPEN) {
+        return;
+      }
+      if (framed) {
+        clientWs.send(encodeFrame(channel, data));
+      } else {
+        const text = decoders[channel].write(data);
+        if (text) {
+          clientWs.send(text);
+        }
+      }
+    };
+
     // Set up the exec connection
     await exec.exec(
       namespace,
@@ -53,8 +145,15 @@ export const connectToPodTerminal = async (
       stdin,
       true, // tty
       (status) => {
-        logger.info("Exec process finished with status:", status);
+        const exitStatus = parseExitStatus(status);
+        logger.info("Exec process finished with status:", exitStatus);
+        endRecording(exitStatus);
         if (clientWs.readyState === clientWs.OPEN) {
+          if (framed) {
+            clientWs.send(
+              encodeFrame(CHANNELS.STATUS, JSON.stringify(exitStatus))
+            );
+          }
           clientWs.close(1000, "Process finished");
         }
       }
@@ -62,34 +161,82 @@ export const connectToPodTerminal = async (
 
     logger.info(`Successfully connected to pod ${podName}'s terminal.`);
 
-    // Handle stdout - send to client
-    stdout.on("data", (data) => {
+    // Keeps proxies and load balancers from dropping an idle terminal
+    const keepalive = setInterval(() => {
       if (clientWs.readyState === clientWs.OPEN) {
-        clientWs.send(data.toString());
+        clientWs.ping();
       }
+    }, KEEPALIVE_INTERVAL_MS);
+
+    // Handle stdout - send to client
+    stdout.on("data", (data) => {
+      recorder?.output(data);
+      sendOutput(CHANNELS.STDOUT, data);
     });
 
     // Handle stderr - send to client (usually combined with stdout in TTY mode)
     stderr.on("data", (data) => {
-      if (clientWs.readyState === clientWs.OPEN) {
-        clientWs.send(data.toString());
-      }
+      recorder?.output(data);
+      sendOutput(CHANNELS.STDERR, data);
     });
 
-    // Handle client input - send to stdin
-    clientWs.on("message", (data) => {
+    const writeStdin = (data) => {
       try {
         if (stdin.writable) {
+          recorder?.input(data);
           stdin.write(data);
         }
       } catch (err) {
         logger.error("Error writing to stdin:", err);
       }
-    });
+    };
+
+    // Handle client input - send to stdin, or dispatch by channel
+    const handleInput = (data, isBinary) => {
+      if (!framed) {
+        writeStdin(data);
+        return;
+      }
+
+      const frame = decodeFrame(data, isBinary);
+      if (!frame) {
+        return;
+      }
+      switch (frame.channel) {
+        case CHANNELS.STDIN:
+          writeStdin(frame.payload);
+          break;
+        case CHANNELS.RESIZE: {
+          const size = parseTerminalSize(frame.payload);
+          if (size) {
+            recorder?.resize(size);
+            stdout.resize(size);
+          } else {
+            logger.warn("Ignoring invalid terminal resize message", {
+              payload: frame.payload.toString(),
+            });
+          }
+          break;
+        }
+        case CHANNELS.PING:
+          if (clientWs.readyState === clientWs.OPEN) {
+            clientWs.send(encodeFrame(CHANNELS.PING, frame.payload));
+          }
+          break;
+        default:
+          logger.warn(`Ignoring terminal message on channel ${frame.channel}`);
+      }
+    };
+    clientWs.off("message", holdInput);
+    clientWs.on("message", handleInput);
+    pendingInput.forEach(([data, isBinary]) => handleInput(data, isBinary));
+    pendingInput = [];
 
     // Handle client disconnect
-    clientWs.on("close", (code, reason) => {
+    const handleClose = (code, reason) => {
       logger.info(`Client WebSocket closed: ${code} ${reason}`);
+      clearInterval(keepalive);
+      endRecording();
       try {
         if (stdin.writable) {
           stdin.end();
@@ -103,7 +250,12 @@ export const connectToPodTerminal = async (
       } catch (err) {
         logger.error("Error closing streams:", err);
       }
-    });
+    };
+    clientWs.on("close", handleClose);
+    // The client may have left while the exec was being set up
+    if (clientWs.readyState === clientWs.CLOSED) {
+      handleClose(1006, "closed during setup");
+    }
 
     // Handle client errors
     clientWs.on("error", (err) => {
@@ -146,16 +298,87 @@ export const connectToPodTerminal = async (
       logger.info("stdin stream closed");
     });
   } catch (err) {
+    clientWs.off("message", holdInput);
+    pendingInput = [];
     logger.error(`Error setting up exec: ${err.message}`, {
       stack: err.stack,
     });
+    const noShell = err.reason === "NoShell";
+    const failure = {
+      status: "Failure",
+      exitCode: null,
+      reason: noShell ? "NoShell" : undefined,
+      message: noShell
+        ? err.message
+        : `Error setting up exec: ${getApiErrorMessage(err)}`,
+    };
+    endRecording(failure);
     if (clientWs.readyState === clientWs.OPEN) {
-      clientWs.close(1011, `Error setting up exec: ${err.message}`);
+      if (framed) {
+        clientWs.send(encodeFrame(CHANNELS.STATUS, JSON.stringify(failure)));
+      } else if (noShell) {
+        clientWs.send(`${failure.message}\r\n`);
+      }
+      closeWebSocket(
+        clientWs,
+        1011,
+        noShell
+          ? "No shell found in container"
+          : `Error setting up exec: ${err.message}`
+      );
     }
   }
 };
 
-export const getPodLogs = async (k8sApi, namespace, podName, containerName) => {
+// Builds the readNamespacedPodLog parameters. The generated client has no
+// sinceTime parameter, so an absolute start time is sent as the equivalent
+// sinceSeconds (rounded up to whole seconds).
+const toLogRequest = ({
+  previous,
+  tailLines,
+  sinceSeconds,
+  sinceTime,
+  timestamps,
+  limitBytes,
+} = {}) => {
+  const request = { previous, tailLines, sinceSeconds, timestamps, limitBytes };
+  if (sinceTime) {
+    request.sinceSeconds = Math.max(
+      1,
+      Math.ceil((Date.now() - new Date(sinceTime).getTime()) / 1000)
+    );
+  }
+  return request;
+};
+
+const readContainerLogs = async (
+  k8sApi,
+  namespace,
+  podName,
+  containerName,
+  options
+) => {
+  // A start time in the future matches nothing; sinceSeconds cannot say so.
+  if (options.sinceTime && new Date(options.sinceTime) > new Date()) {
+    return "";
+  }
+
+  const res = await k8sApi.readNamespacedPodLog({
+    name: podName,
+    namespace: namespace,
+    container: containerName,
+    ...toLogRequest(options),
+  });
+  return typeof res === "string" ? res : res?.body || "";
+};
+
+export const getPodLogs = async (
+  k8sApi,
+  namespace,
+  podName,
+  containerName,
+  options = {}
+) => {
   try {
     let targetContainer = containerName;
     if (!targetContainer) {
@@ -163,19 +386,21 @@ export const getPodLogs = async (k8sApi, namespace, podName, containerName) => {
         name: podName,
         namespace: namespace,
       });
-      if (pod.body.spec.containers && pod.body.spec.containers.length > 0) {
-        targetContainer = pod.body.spec.containers[0].name;
+      const podData = pod.body || pod;
+      if (podData.spec.containers && podData.spec.containers.length > 0) {
+        targetContainer = podData.spec.containers[0].name;
       } else {
         throw new Error(`No containers found in pod: ${podName}`);
       }
     }
 
-    const res = await k8sApi.readNamespacedPodLog({
-      name: podName,
-      namespace: namespace,
-      container: targetContainer,
-    });
-    return res;
+    return await readContainerLogs(
+      k8sApi,
+      namespace,
+      podName,
+      targetContainer,
+      options
+    );
   } catch (err) {
     logger.error(`Failed to get logs for pod ${podName}: ${err.message}`, {
       stack: err.stack,
@@ -184,16 +409,129 @@ export const getPodLogs = async (k8sApi, namespace, podName, containerName) => {
   }
 };
 
+// Logs of every container of the pod, init containers first, like
+// `kubectl logs --all-containers`. A container whose logs cannot be read
+// (e.g. it has not started yet) is reported with an error instead of failing
+// the whole request.
+export const getAllContainerLogs = async (
+  k8sApi,
+  namespace,
+  podName,
+  options = {}
+) => {
+  const pod = await k8sApi.readNamespacedPod({
+    name: podName,
+    namespace: namespace,
+  });
+  const podData = pod.body || pod;
+  const containers = [
+    ...(podData.spec.initContainers || []).map((c) => ({
+      name: c.name,
+      init: true,
+    })),
+    ...(podData.spec.containers || []).map((c) => ({
+      name: c.name,
+      init: false,
+    })),
+  ];
+
+  const results = [];
+  for (const container of containers) {
+    try {
+      const logs = await readContainerLogs(
+        k8sApi,
+        namespace,
+        podName,
+        container.name,
+        options
+      );
+      results.push({ container: container.name, init: container.init, logs });
+    } catch (err) {
+      logger.warn(
+        `Failed to get logs for container ${container.name} of pod ${podName}`,
+        { error: err.message }
+      );
+      results.push({
+        container: container.name,
+        init: container.init,
+        logs: "",
+        error: getApiErrorMessage(err),
+      });
+    }
+  }
+  return results;
+};
+
 export const streamPodLogs = async (
   clientWs,
   kubeConfig,
   k8sApi,
   namespace,
   podName,
-  containerName
+  containerName,
+  { tailLines = 1000, filter = {}, format = "text" } = {}
 ) => {
+  let handle = null;
+  let generation = 0;
+  let closed = false;
+  let targetContainer = containerName;
+
+  // (Re)opens the log stream from the given tail. A stream replaced by a
+  // newer one ends without closing the client connection.
+  const start = async (lines) => {
+    const current = ++generation;
+    if (handle) {
+      handle.stop();
+      handle = null;
+    }
+
+    const newHandle = await followContainerLogs(
+      kubeConfig,
+      namespace,
+      podName,
+      targetContainer,
+      {
+        logOptions: { tailLines: lines, timestamps: session.timestamps },
+        onLine: (line) =>
+          session.write(line, { pod: podName, container: targetContainer }),
+        onEnd: (err) => {
+          if (current !== generation || closed) {
+            return;
+          }
+          if (err) {
+            logger.error("Log stream connection closed with error:", err);
+            session.end(`Log stream error: ${err.message}`, 1011);
+          } else {
+            logger.info("Log stream connection closed.");
+            session.end("Container log stream ended");
+          }
+        },
+      }
+    );
+
+    if (closed || current !== generation) {
+      newHandle.stop();
+      return;
+    }
+    handle = newHandle;
+  };
+
+  const session = createLogSession(clientWs, {
+    filter,
+    tailLines,
+    format,
+    onTailLines: (lines) => start(lines),
+  });
+
+  clientWs.on("close", () => {
+    closed = true;
+    logger.info(`Client disconnected, ending log stream for pod ${podName}.`);
+    if (handle) {
+      handle.stop();
+    }
+  });
+
   try {
-    let targetContainer = containerName;
     if (!targetContainer) {
       try {
         const pod = await k8sApi.readNamespacedPod({
@@ -207,7 +545,7 @@ export const streamPodLogs = async (
           throw new Error(`No containers found in pod: ${podName}`);
         }
       } catch (error) {
-        if (error.statusCode === 404) {
+        if (getStatusCode(error) === 404) {
           throw new Error(
             `Pod '${podName}' not found in namespace '${namespace}'`
           );
@@ -215,81 +553,31 @@ export const streamPodLogs = async (
         throw error;
       }
     }
-
-    const log = new Log(kubeConfig);
-
-    const logStream = new stream.PassThrough();
-    logStream.on("data", (chunk) => {
-      if (clientWs.readyState === clientWs.OPEN) {
-        clientWs.send(chunk.toString());
-      }
-    });
-
-    logStream.on("error", (err) => {
-      logger.error("Error in log stream PassThrough:", err);
-      if (clientWs.readyState === clientWs.OPEN) {
-        clientWs.close(1011, "Log stream error");
-      }
-    });
-
-    const logPromise = log.log(
-      namespace,
-      podName,
-      targetContainer,
-      logStream,
-      (err) => {
-        if (err) {
-          logger.error("Log stream connection closed with error:", err);
-        } else {
-          logger.info("Log stream connection closed.");
-        }
-        if (clientWs.readyState === clientWs.OPEN) {
-          clientWs.close();
-        }
-      },
+  } catch (err) {
+    logger.error(
+      `Failed to set up log stream for pod ${podName}: ${err.message}`,
       {
-        follow: true,
-        tailLines: 1000,
-        pretty: false,
-        timestamps: false,
+        stack: err.stack,
       }
     );
+    session.end(`Error setting up log stream: ${err.message}`, 1011);
+    return;
+  }
 
-    logPromise.catch((err) => {
-      logger.error(
-        `API error starting log stream for pod ${podName}: ${err.message}`,
-        {
-          stack: err.stack,
-          body: err.body,
-        }
-      );
-      if (clientWs.readyState === clientWs.OPEN) {
-        const errorMessage = err.body?.message || err.message;
-        clientWs.send(`Error: ${errorMessage}`);
-        clientWs.close(1011, `Error streaming logs: ${errorMessage}`);
-      }
-    });
-
-    clientWs.on("close", () => {
-      logger.info(`Client disconnected, ending log stream for pod ${podName}.`);
-      logStream.end();
-      logPromise
-        .then((req) => {
-          if (req && typeof req.abort === "function") {
-            req.abort();
-          }
-        })
-        .catch(() => {});
-    });
+  try {
+    await start(tailLines);
   } catch (err) {
     logger.error(
-      `Failed to set up log stream for pod ${podName}: ${err.message}`,
+      `API error starting log stream for pod ${podName}: ${err.message}`,
       {
         stack: err.stack,
+        body: err.body,
       }
     );
-    if (clientWs.readyState === clientWs.OPEN) {
-      clientWs.close(1011, `Error setting up log stream: ${err.message}`);
+    const errorMessage = getApiErrorMessage(err);
+    if (format !== "json" && clientWs.readyState === clientWs.OPEN) {
+      clientWs.send(`Error: ${errorMessage}`);
     }
+    session.end(`Error streaming logs: ${errorMessage}`, 1011);
   }
 };
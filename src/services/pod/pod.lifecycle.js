@@ -0,0 +1,115 @@
+import logger from "../../config/logger.js";
+import { httpError } from "../../utils/k8s.errors.js";
+
+const REPLACEMENT_POLL_INTERVAL_MS = 1000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const getControllerRef = (pod) =>
+  pod.metadata?.ownerReferences?.find((owner) => owner.controller) || null;
+
+// Deletes a pod. `force` skips the graceful shutdown (grace period 0), like
+// `kubectl delete pod --force --grace-period=0`.
+export const deletePod = async (
+  k8sApi,
+  namespace,
+  podName,
+  { gracePeriodSeconds, force = false } = {}
+) => {
+  const res = await k8sApi.deleteNamespacedPod({
+    name: podName,
+    namespace: namespace,
+    gracePeriodSeconds: force ? 0 : gracePeriodSeconds,
+  });
+  return res.body || res;
+};
+
+// Evicts a pod through the Eviction API, so PodDisruptionBudgets are
+// honoured. The API answers 429 when the eviction would violate a budget.
+export const evictPod = async (
+  k8sApi,
+  namespace,
+  podName,
+  { gracePeriodSeconds } = {}
+) => {
+  const res = await k8sApi.createNamespacedPodEviction({
+    name: podName,
+    namespace: namespace,
+    body: {
+      apiVersion: "policy/v1",
+      kind: "Eviction",
+      metadata: { name: podName, namespace: namespace },
+      deleteOptions:
+        gracePeriodSeconds !== undefined ? { gracePeriodSeconds } : undefined,
+    },
+  });
+  return res.body || res;
+};
+
+// Deletes a pod managed by a controller and waits until the controller has
+// created its replacement. A replacement is any pod of the same controller
+// that did not exist before the deletion; names are not compared since
+// StatefulSets reuse them.
+export const restartPod = async (
+  k8sApi,
+  namespace,
+  podName,
+  { timeoutSeconds = 60 } = {}
+) => {
+  const res = await k8sApi.readNamespacedPod({
+    name: podName,
+    namespace: namespace,
+  });
+  const pod = res.body || res;
+
+  const owner = getControllerRef(pod);
+  if (!owner) {
+    throw httpError(
+      `Pod '${podName}' is not managed by a controller and would not be recreated`,
+      400
+    );
+  }
+
+  // Labels are not used to narrow the listing: revision hash labels of the
+  // replacement can differ from the deleted pod's.
+  const listSiblings = async () => {
+    const listRes = await k8sApi.listNamespacedPod({ namespace });
+    return (listRes.body || listRes).items.filter(
+      (candidate) => getControllerRef(candidate)?.uid === owner.uid
+    );
+  };
+
+  const existing = new Set(
+    (await listSiblings()).map((sibling) => sibling.metadata.uid)
+  );
+
+  await k8sApi.deleteNamespacedPod({ name: podName, namespace: namespace });
+  logger.info(
+    `Deleted pod ${podName} owned by ${owner.kind} ${owner.name}, waiting for replacement`
+  );
+
+  const deadline = Date.now() + timeoutSeconds * 1000;
+  while (Date.now() < deadline) {
+    await sleep(REPLACEMENT_POLL_INTERVAL_MS);
+
+    const replacement = (await listSiblings()).find(
+      (candidate) =>
+        !existing.has(candidate.metadata.uid) &&
+        !candidate.metadata.deletionTimestamp
+    );
+
+    if (replacement) {
+      logger.info(`Pod ${podName} replaced by ${replacement.metadata.name}`);
+      return {
+        deleted: podName,
+        pod: replacement.metadata.name,
+        owner: { kind: owner.kind, name: owner.name },
+      };
+    }
+  }
+
+  throw httpError(
+    `Timed out after ${timeoutSeconds}s waiting for ${owner.kind} ${owner.name} to replace pod '${podName}'`,
+    504
+  );
+};
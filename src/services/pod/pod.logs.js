@@ -0,0 +1,313 @@
+import { Log } from "@kubernetes/client-node";
+import stream from "stream";
+import { StringDecoder } from "string_decoder";
+import logger from "../../config/logger.js";
+import { createLogFilter } from "../../utils/log.filter.js";
+import { closeWebSocket } from "../../utils/ws.close.js";
+
+const MAX_PAUSED_LINES = 1000;
+const HEARTBEAT_INTERVAL_MS = 30000;
+// Prefix added by the API when logs are requested with timestamps: true
+const TIMESTAMP_PREFIX =
+  /^(\d{4}-\d{2}-\d{2}T[\d:.]+(?:Z|[+-]\d{2}:\d{2})) ?(.*)$/;
+
+export const LOG_FORMATS = ["text", "json"];
+
+// Ends a log stream WebSocket. In json format the client first receives an
+// end frame carrying the reason, since close reasons are easy to lose and
+// truncated to a few bytes.
+export const endLogStream = (clientWs, format, reason, code = 1000) => {
+  if (clientWs.readyState !== clientWs.OPEN) {
+    return;
+  }
+  if (format === "json") {
+    clientWs.send(
+      JSON.stringify({
+        type: "end",
+        reason: reason,
+        timestamp: new Date().toISOString(),
+      })
+    );
+  }
+  closeWebSocket(clientWs, code, reason);
+};
+
+const parseJsonLine = (line) => {
+  const trimmed = line.trim();
+  if (!trimmed.startsWith("{")) {
+    return null;
+  }
+  try {
+    return JSON.parse(trimmed);
+  } catch {
+    return null;
+  }
+};
+
+// Writable stream that decodes UTF-8 safely across chunk boundaries and
+// calls onLine once per complete line. A trailing partial line is flushed
+// when the stream ends.
+export const createLineStream = (onLine) => {
+  const decoder = new StringDecoder("utf8");
+  let buffer = "";
+
+  const emitLines = (text) => {
+    buffer += text;
+    const lines = buffer.split("\n");
+    buffer = lines.pop();
+    lines.forEach((line) => onLine(line.replace(/\r$/, "")));
+  };
+
+  return new stream.Writable({
+    write(chunk, encoding, callback) {
+      emitLines(decoder.write(chunk));
+      callback();
+    },
+    final(callback) {
+      emitLines(decoder.end());
+      if (buffer) {
+        onLine(buffer.replace(/\r$/, ""));
+        buffer = "";
+      }
+      callback();
+    },
+  });
+};
+
+// Follows the logs of a single container line by line. Resolves with a
+// handle whose stop() aborts the underlying request; onEnd is called once
+// when the log stream finishes, whether it was stopped or closed by the API.
+export const followContainerLogs = async (
+  kubeConfig,
+  namespace,
+  podName,
+  containerName,
+  { onLine, onEnd = () => {}, logOptions = {} }
+) => {
+  const log = new Log(kubeConfig);
+  const lineStream = createLineStream(onLine);
+
+  let ended = false;
+  const finish = (err) => {
+    if (!ended) {
+      ended = true;
+      onEnd(err);
+    }
+  };
+
+  lineStream.on("finish", () => finish());
+  lineStream.on("error", (err) => finish(err));
+
+  const controller = await log.log(
+    namespace,
+    podName,
+    containerName,
+    lineStream,
+    {
+      follow: true,
+      pretty: false,
+      timestamps: false,
+      ...logOptions,
+    }
+  );
+
+  return {
+    stop: () => {
+      try {
+        controller.abort();
+      } catch (err) {
+        logger.debug(`Error aborting log stream for ${podName}`, {
+          error: err.message,
+        });
+      }
+      lineStream.end();
+    },
+  };
+};
+
+// Sits between the log sources of a log stream WebSocket and the client:
+// filters lines, frames them and handles the control messages a client may
+// send as JSON text frames:
+//   { "type": "filter", "filter": { "level": "error", ... } }
+//   { "type": "pause" } / { "type": "resume" }
+//   { "type": "tailLines", "tailLines": 500 }
+// While paused, the newest MAX_PAUSED_LINES lines are kept and sent on
+// resume. Changing tailLines calls onTailLines so the caller can restart its
+// streams. Every control message is answered with
+//   { "type": "control", "action": ..., "ok": true|false, ... }
+//
+// In the default "text" format every line is sent as is, prefixed with
+// "[pod/container]" when `prefix` is set. In the "json" format every line is
+// a frame
+//   { "type": "line", pod, container, timestamp, line, parsed }
+// where timestamp is the time the container wrote the line and parsed is the
+// line as an object for JSON logs (null otherwise). The json format also
+// sends a heartbeat frame every HEARTBEAT_INTERVAL_MS and frames for sources
+// that end (see event()) and for the end of the stream (see end()). Sources
+// must request logs with `timestamps` set to session.timestamps.
+export const createLogSession = (
+  clientWs,
+  {
+    filter = {},
+    tailLines,
+    onTailLines = () => {},
+    format = "text",
+    prefix = false,
+  } = {}
+) => {
+  const framed = format === "json";
+  let accept = createLogFilter(filter);
+  let paused = false;
+  let pausedLines = [];
+  let droppedLines = 0;
+
+  const sendRaw = (message) => {
+    if (clientWs.readyState === clientWs.OPEN) {
+      clientWs.send(message);
+    }
+  };
+
+  const reply = (action, data = {}) =>
+    sendRaw(JSON.stringify({ type: "control", action, ok: true, ...data }));
+
+  const replyError = (action, error) =>
+    sendRaw(JSON.stringify({ type: "control", action, ok: false, error }));
+
+  const handleControl = async (message) => {
+    switch (message.type) {
+      case "filter":
+        try {
+          accept = createLogFilter(message.filter || {});
+          filter = message.filter || {};
+          reply("filter", { filter });
+        } catch (error) {
+          replyError("filter", error.message);
+        }
+        break;
+      case "pause":
+        paused = true;
+        reply("pause");
+        break;
+      case "resume": {
+        const buffered = pausedLines;
+        const dropped = droppedLines;
+        paused = false;
+        pausedLines = [];
+        droppedLines = 0;
+        buffered.forEach(sendRaw);
+        reply("resume", { buffered: buffered.length, dropped });
+        break;
+      }
+      case "tailLines": {
+        const value = Number(message.tailLines);
+        if (!Number.isInteger(value) || value <= 0) {
+          replyError("tailLines", "tailLines must be a positive integer");
+          break;
+        }
+        tailLines = value;
+        try {
+          await onTailLines(value);
+          reply("tailLines", { tailLines: value });
+        } catch (error) {
+          replyError("tailLines", error.message);
+        }
+        break;
+      }
+      default:
+        replyError(
+          message.type,
+          `Unknown control message type '${message.type}'`
+        );
+    }
+  };
+
+  const heartbeat = framed
+    ? setInterval(
+        () =>
+          sendRaw(
+            JSON.stringify({
+              type: "heartbeat",
+              timestamp: new Date().toISOString(),
+            })
+          ),
+        HEARTBEAT_INTERVAL_MS
+      )
+    : null;
+  clientWs.on("close", () => clearInterval(heartbeat));
+
+  const toMessage = (line, timestamp, { pod, container }) => {
+    if (framed) {
+      return JSON.stringify({
+        type: "line",
+        pod,
+        container,
+        timestamp,
+        line,
+        parsed: parseJsonLine(line),
+      });
+    }
+    return prefix ? `[${pod}/${container}] ${line}` : line;
+  };
+
+  clientWs.on("message", (data) => {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch {
+      replyError(undefined, "Control messages must be JSON");
+      return;
+    }
+    if (!message || typeof message !== "object") {
+      replyError(undefined, "Control messages must be JSON objects");
+      return;
+    }
+    handleControl(message);
+  });
+
+  return {
+    get tailLines() {
+      return tailLines;
+    },
+    // Whether sources must request logs with timestamps
+    timestamps: framed,
+    // Sends a line of the given source if it passes the filter.
+    write: (rawLine, source = {}) => {
+      let line = rawLine;
+      let timestamp = null;
+      if (framed) {
+        const match = rawLine.match(TIMESTAMP_PREFIX);
+        if (match) {
+          timestamp = match[1];
+          line = match[2];
+        }
+      }
+
+      if (!accept(line)) {
+        return;
+      }
+      const message = toMessage(line, timestamp, source);
+      if (!paused) {
+        sendRaw(message);
+        return;
+      }
+      pausedLines.push(message);
+      if (pausedLines.length > MAX_PAUSED_LINES) {
+        pausedLines.shift();
+        droppedLines++;
+      }
+    },
+    // Sends a frame about a source (e.g. a container stream that ended).
+    // Only the json format carries such frames.
+    event: (type, data = {}) => {
+      if (framed) {
+        sendRaw(
+          JSON.stringify({ type, timestamp: new Date().toISOString(), ...data })
+        );
+      }
+    },
+    end: (reason, code = 1000) => {
+      clearInterval(heartbeat);
+      endLogStream(clientWs, format, reason, code);
+    },
+  };
+};
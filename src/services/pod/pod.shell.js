@@ -0,0 +1,99 @@
+import stream from "stream";
+import logger from "../../config/logger.js";
+
+// Shells a terminal may be opened with, in the order they are tried when the
+// client does not ask for one. Clients may pass the name or the full path.
+export const ALLOWED_SHELLS = {
+  bash: "/bin/bash",
+  sh: "/bin/sh",
+  ash: "/bin/ash",
+};
+
+const PROBE_TIMEOUT_MS = 10000;
+
+// Maps a requested shell to its path. Returns null when it is not allowed.
+export const resolveShell = (shell) => {
+  const name = Object.keys(ALLOWED_SHELLS).find(
+    (key) => shell === key || shell === ALLOWED_SHELLS[key]
+  );
+  return name ? ALLOWED_SHELLS[name] : null;
+};
+
+// Runs `<shell> -c "exit 0"` in the container. Resolves true when the shell
+// ran, false when the container reported a failure (usually "executable file
+// not found"). Connection errors are passed on.
+const probeShell = async (exec, namespace, podName, containerName, path) => {
+  const stderr = new stream.PassThrough();
+  stderr.resume();
+
+  let connection;
+  const status = await new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      connection?.close();
+      reject(new Error(`Timed out probing for ${path}`));
+    }, PROBE_TIMEOUT_MS);
+
+    exec
+      .exec(
+        namespace,
+        podName,
+        containerName,
+        [path, "-c", "exit 0"],
+        null,
+        stderr,
+        null,
+        false,
+        (result) => {
+          clearTimeout(timeout);
+          resolve(result);
+        }
+      )
+      .then((conn) => {
+        connection = conn;
+      })
+      .catch((error) => {
+        clearTimeout(timeout);
+        reject(error);
+      });
+  });
+
+  logger.debug(`Shell probe for ${path} in ${podName}/${containerName}`, {
+    status: status?.status,
+    message: status?.message,
+  });
+  return status?.status === "Success";
+};
+
+// Finds the shell to open in a container: the requested one if it exists,
+// otherwise the first available of bash, sh and ash. Throws an error with
+// reason "NoShell" when the container has none of them (e.g. distroless
+// images).
+export const detectShell = async (
+  exec,
+  namespace,
+  podName,
+  containerName,
+  preferred
+) => {
+  const candidates = [
+    ...new Set([preferred, ...Object.values(ALLOWED_SHELLS)].filter(Boolean)),
+  ];
+
+  for (const path of candidates) {
+    if (await probeShell(exec, namespace, podName, containerName, path)) {
+      if (preferred && path !== preferred) {
+        logger.info(
+          `${preferred} not found in ${podName}/${containerName}, falling back to ${path}`
+        );
+      }
+      return path;
+    }
+  }
+
+  const shells = Object.keys(ALLOWED_SHELLS).join(", ");
+  const error = new Error(
+    `Container '${containerName}' has no shell (tried ${shells}). Add a debug container with POST /api/namespaces/${namespace}/pods/${podName}/debug and open the terminal in it instead.`
+  );
+  error.reason = "NoShell";
+  throw error;
+};
@@ -0,0 +1,99 @@
+import stream from "stream";
+
+// Framed terminal protocol, modelled on the Kubernetes channel protocol.
+// Every WebSocket message starts with one byte naming its channel, followed
+// by the payload. Text frames may use the ASCII digit instead ("0ls\r").
+//   client -> server: STDIN (raw bytes), RESIZE ({"cols":120,"rows":40}),
+//                     PING (any payload, echoed back on PING)
+//   server -> client: STDOUT, STDERR (raw bytes),
+//                     STATUS ({"status","exitCode","message"}) sent once
+//                     before the server closes the connection
+export const CHANNELS = {
+  STDIN: 0,
+  STDOUT: 1,
+  STDERR: 2,
+  STATUS: 3,
+  RESIZE: 4,
+  PING: 5,
+};
+
+export const DEFAULT_TERMINAL_SIZE = { columns: 80, rows: 24 };
+const MAX_TERMINAL_DIMENSION = 1000;
+
+export const encodeFrame = (channel, payload) =>
+  Buffer.concat([
+    Buffer.from([channel]),
+    Buffer.isBuffer(payload) ? payload : Buffer.from(payload),
+  ]);
+
+// Returns { channel, payload }, or null for an empty message.
+export const decodeFrame = (data, isBinary) => {
+  const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data);
+  if (buffer.length === 0) {
+    return null;
+  }
+
+  let channel = buffer[0];
+  // "0".."9" in text frames
+  if (!isBinary && channel >= 0x30 && channel <= 0x39) {
+    channel -= 0x30;
+  }
+  return { channel, payload: buffer.subarray(1) };
+};
+
+const toDimension = (value) => {
+  const number = Number(value);
+  return Number.isInteger(number) &&
+    number > 0 &&
+    number <= MAX_TERMINAL_DIMENSION
+    ? number
+    : null;
+};
+
+// Reads a terminal size from a RESIZE payload. Both {cols, rows} and the
+// Kubernetes {Width, Height} spelling are accepted. Returns null when invalid.
+export const parseTerminalSize = (payload) => {
+  let size;
+  try {
+    size = JSON.parse(payload.toString());
+  } catch {
+    return null;
+  }
+
+  const columns = toDimension(size?.cols ?? size?.columns ?? size?.Width);
+  const rows = toDimension(size?.rows ?? size?.Height);
+  return columns && rows ? { columns, rows } : null;
+};
+
+// Stdout stream for exec that the Kubernetes client treats as a TTY: it
+// reads the initial size from `columns`/`rows` and forwards every "resize"
+// event to the container. Missing or invalid sizes fall back to 80x24.
+export const createResizableStream = ({ columns, rows } = {}) => {
+  const output = new stream.PassThrough();
+  output.columns = toDimension(columns) || DEFAULT_TERMINAL_SIZE.columns;
+  output.rows = toDimension(rows) || DEFAULT_TERMINAL_SIZE.rows;
+  output.resize = (size) => {
+    output.columns = size.columns;
+    output.rows = size.rows;
+    output.emit("resize");
+  };
+  return output;
+};
+
+// Turns the V1Status reported at the end of an exec into
+// { status, exitCode, message }.
+export const parseExitStatus = (status) => {
+  if (status?.status === "Success") {
+    return { status: "Success", exitCode: 0, message: null };
+  }
+
+  const exitCause = status?.details?.causes?.find(
+    (cause) => cause.reason === "ExitCode"
+  );
+  const exitCode = exitCause ? parseInt(exitCause.message, 10) : null;
+  return {
+    status: status?.status || "Failure",
+    exitCode: Number.isNaN(exitCode) ? null : exitCode,
+    message: status?.message || null,
+  };
+};
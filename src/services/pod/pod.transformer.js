@@ -61,6 +61,23 @@ export const transformPodData = (pod, podMetricsMap = {}) => {
     };
   });
 
+  // Ephemeral (debug) containers have their own spec and status lists
+  const ephemeralContainers = (pod.spec?.ephemeralContainers || []).map(
+    (spec) => {
+      const status = pod.status?.ephemeralContainerStatuses?.find(
+        (s) => s.name === spec.name
+      );
+      return {
+        name: spec.name,
+        image: spec.image,
+        targetContainerName: spec.targetContainerName,
+        command: spec.command,
+        ready: status?.ready || false,
+        state: status?.state,
+      };
+    }
+  );
+
   // Calculate resource requests and limits
   const resourceRequests = {
     cpu: "0",
@@ -126,6 +143,7 @@ export const transformPodData = (pod, podMetricsMap = {}) => {
         ) || [],
     },
     containers: containers,
+    ephemeralContainers: ephemeralContainers,
     resources: {
       requests: resourceRequests,
       limits: resourceLimits,
@@ -0,0 +1,319 @@
+import http from "http";
+import stream from "stream";
+import { KubeConfig, CoreV1Api, PortForward } from "@kubernetes/client-node";
+import logger from "../config/logger.js";
+import { httpError, toHttpError } from "../utils/k8s.errors.js";
+import { toLabelSelector } from "../utils/k8s.selectors.js";
+import { closeWebSocket } from "../utils/ws.close.js";
+
+const kubeConfig = new KubeConfig();
+kubeConfig.loadFromDefault();
+
+const coreV1Api = kubeConfig.makeApiClient(CoreV1Api);
+
+// Headers that only concern one hop and are not passed through the proxy
+const HOP_BY_HOP_HEADERS = [
+  "connection",
+  "keep-alive",
+  "proxy-authenticate",
+  "proxy-authorization",
+  "te",
+  "trailer",
+  "transfer-encoding",
+  "upgrade",
+];
+// Credentials for this API must never reach the proxied workload
+const CREDENTIAL_HEADERS = ["authorization", "x-api-key"];
+
+const toForwardError = (error, kind, name, namespace) =>
+  toHttpError(error, { action: "forward to", kind, name, namespace });
+
+const isPodReady = (pod) =>
+  pod.status?.phase === "Running" &&
+  pod.status?.conditions?.some(
+    (condition) => condition.type === "Ready" && condition.status === "True"
+  );
+
+const parsePort = (port) => {
+  const number = Number(port);
+  return Number.isInteger(number) && number > 0 && number <= 65535
+    ? number
+    : null;
+};
+
+// Resolves a container port of a pod given by number or by name.
+const resolveContainerPort = (pod, port) => {
+  if (port === undefined || port === null || port === "") {
+    throw httpError("port is required", 400);
+  }
+  const number = parsePort(port);
+  if (number) {
+    return number;
+  }
+  const containerPort = (pod.spec?.containers || [])
+    .flatMap((container) => container.ports || [])
+    .find((candidate) => candidate.name === port);
+  if (!containerPort) {
+    throw httpError(
+      `Pod '${pod.metadata.name}' has no port named '${port}'`,
+      400
+    );
+  }
+  return containerPort.containerPort;
+};
+
+// The pod and container port behind a pod port, checking that the pod runs.
+export const resolvePodTarget = async (namespace, podName, port) => {
+  try {
+    const res = await coreV1Api.readNamespacedPod({
+      name: podName,
+      namespace: namespace,
+    });
+    const pod = res.body || res;
+    if (pod.status?.phase !== "Running") {
+      throw httpError(
+        `Pod '${podName}' is ${pod.status?.phase || "not running"}`,
+        409
+      );
+    }
+    return { podName, port: resolveContainerPort(pod, port) };
+  } catch (error) {
+    throw toForwardError(error, "Pod", podName, namespace);
+  }
+};
+
+// Resolves a service port (by number or name, the first port by default) to
+// a ready pod behind the service and the container port it targets.
+export const resolveServiceTarget = async (namespace, serviceName, port) => {
+  try {
+    const res = await coreV1Api.readNamespacedService({
+      name: serviceName,
+      namespace: namespace,
+    });
+    const service = res.body || res;
+    const ports = service.spec?.ports || [];
+
+    const servicePort = port
+      ? ports.find(
+          (candidate) =>
+            candidate.name === port || candidate.port === parsePort(port)
+        )
+      : ports[0];
+    if (!servicePort) {
+      throw httpError(
+        `Service '${serviceName}' has no port '${port || ""}'`,
+        400
+      );
+    }
+
+    const selector = service.spec?.selector;
+    if (!selector || Object.keys(selector).length === 0) {
+      throw httpError(
+        `Service '${serviceName}' has no selector; only services backed by pods can be forwarded`,
+        400
+      );
+    }
+
+    const podsRes = await coreV1Api.listNamespacedPod({
+      namespace,
+      labelSelector: toLabelSelector({ matchLabels: selector }),
+    });
+    const pod = (podsRes.body || podsRes).items.find(isPodReady);
+    if (!pod) {
+      throw httpError(`Service '${serviceName}' has no ready pods`, 503);
+    }
+
+    return {
+      podName: pod.metadata.name,
+      port: resolveContainerPort(
+        pod,
+        servicePort.targetPort ?? servicePort.port
+      ),
+    };
+  } catch (error) {
+    throw toForwardError(error, "Service", serviceName, namespace);
+  }
+};
+
+// Opens a port-forward connection to a pod port and returns it as a duplex
+// stream: what is written goes to the port, what the port sends is readable.
+// Errors reported by the kubelet destroy the stream.
+const openTunnel = async (namespace, podName, port) => {
+  const portForward = new PortForward(kubeConfig, true);
+  const input = new stream.PassThrough();
+  let connection;
+
+  const tunnel = new stream.Duplex({
+    write(chunk, encoding, callback) {
+      input.write(chunk, callback);
+    },
+    final(callback) {
+      input.end();
+      callback();
+    },
+    read() {},
+    destroy(error, callback) {
+      connection?.close();
+      callback(error);
+    },
+  });
+
+  const output = new stream.Writable({
+    write(chunk, encoding, callback) {
+      tunnel.push(chunk);
+      callback();
+    },
+  });
+  const errors = new stream.Writable({
+    write(chunk, encoding, callback) {
+      if (chunk.length > 0) {
+        tunnel.destroy(
+          httpError(`Port forward failed: ${chunk.toString()}`, 502)
+        );
+      }
+      callback();
+    },
+  });
+
+  connection = await portForward.portForward(
+    namespace,
+    podName,
+    [port],
+    output,
+    errors,
+    input
+  );
+  connection.on("close", () => tunnel.push(null));
+  return tunnel;
+};
+
+// Forwards a client WebSocket to a pod port. Every WebSocket is one TCP
+// connection: binary messages are the bytes written to the port, and the
+// bytes the port sends back arrive as binary messages.
+const forwardWebSocket = async (clientWs, namespace, podName, port) => {
+  const tunnel = await openTunnel(namespace, podName, port);
+  if (clientWs.readyState !== clientWs.OPEN) {
+    tunnel.destroy();
+    return;
+  }
+
+  logger.info(`Port forward opened to ${namespace}/${podName}:${port}`);
+
+  tunnel.on("data", (data) => {
+    if (clientWs.readyState === clientWs.OPEN) {
+      clientWs.send(data, { binary: true });
+    }
+  });
+  tunnel.on("end", () => {
+    if (clientWs.readyState === clientWs.OPEN) {
+      closeWebSocket(clientWs, 1000, "Port forward closed");
+    }
+  });
+  tunnel.on("error", (error) => {
+    logger.error(`Port forward to ${namespace}/${podName}:${port} failed`, {
+      error: error.message,
+    });
+    if (clientWs.readyState === clientWs.OPEN) {
+      closeWebSocket(clientWs, 1011, error.message);
+    }
+  });
+
+  clientWs.on("message", (data) => {
+    if (!tunnel.destroyed) {
+      tunnel.write(data);
+    }
+  });
+  clientWs.on("close", () => {
+    logger.info(`Port forward closed to ${namespace}/${podName}:${port}`);
+    tunnel.destroy();
+  });
+};
+
+// The client may send data as soon as the WebSocket is open, so it is paused
+// until the target is resolved and the tunnel is listening.
+const whilePaused = async (clientWs, open) => {
+  clientWs.pause();
+  try {
+    await open();
+  } finally {
+    clientWs.resume();
+  }
+};
+
+export const forwardPodPort = (clientWs, namespace, podName, port) =>
+  whilePaused(clientWs, async () => {
+    const target = await resolvePodTarget(namespace, podName, port);
+    await forwardWebSocket(clientWs, namespace, target.podName, target.port);
+  });
+
+export const forwardServicePort = (clientWs, namespace, serviceName, port) =>
+  whilePaused(clientWs, async () => {
+    const target = await resolveServiceTarget(namespace, serviceName, port);
+    logger.info(
+      `Service ${namespace}/${serviceName} resolved to pod ${target.podName}:${target.port}`
+    );
+    await forwardWebSocket(clientWs, namespace, target.podName, target.port);
+  });
+
+const filterHeaders = (headers, dropped) =>
+  Object.fromEntries(
+    Object.entries(headers).filter(
+      ([name]) => !dropped.includes(name.toLowerCase())
+    )
+  );
+
+// Sends one HTTP request through a port-forward tunnel to a ready pod of the
+// service and streams the response back. `path` is the path and query string
+// to request from the service.
+export const proxyServiceRequest = async (
+  req,
+  res,
+  namespace,
+  serviceName,
+  port,
+  path
+) => {
+  const target = await resolveServiceTarget(namespace, serviceName, port);
+
+  const proxyReq = http.request({
+    method: req.method,
+    path: path,
+    headers: {
+      ...filterHeaders(req.headers, [
+        ...HOP_BY_HOP_HEADERS,
+        ...CREDENTIAL_HEADERS,
+      ]),
+      host: `${serviceName}.${namespace}.svc`,
+      connection: "close",
+      "x-forwarded-prefix": `/api/namespaces/${namespace}/services/${serviceName}${
+        port ? `:${port}` : ""
+      }/proxy`,
+    },
+    createConnection: (options, callback) => {
+      openTunnel(namespace, target.podName, target.port).then(
+        (tunnel) => callback(null, tunnel),
+        callback
+      );
+    },
+  });
+
+  return new Promise((resolve, reject) => {
+    proxyReq.on("response", (proxyRes) => {
+      res.status(proxyRes.statusCode);
+      res.set(filterHeaders(proxyRes.headers, HOP_BY_HOP_HEADERS));
+      proxyRes.pipe(res);
+      proxyRes.on("end", resolve);
+      proxyRes.on("error", reject);
+    });
+    proxyReq.on("error", reject);
+    req.pipe(proxyReq);
+  });
+};
+
+export default {
+  resolvePodTarget,
+  resolveServiceTarget,
+  forwardPodPort,
+  forwardServicePort,
+  proxyServiceRequest,
+};
@@ -0,0 +1,301 @@
+import { KubeConfig, CoreV1Api } from "@kubernetes/client-node";
+import logger from "../config/logger.js";
+import { httpError, toHttpError } from "../utils/k8s.errors.js";
+import { parseQuantity, getUsagePercent } from "../utils/k8s.quantity.js";
+
+const kubeConfig = new KubeConfig();
+kubeConfig.loadFromDefault();
+
+const k8sApi = kubeConfig.makeApiClient(CoreV1Api);
+
+// Quota keys summarized per namespace; the first key found in a quota wins
+// ("cpu" is the short form of "requests.cpu").
+const QUOTA_SUMMARY_KEYS = {
+  cpu: {
+    requests: ["requests.cpu", "cpu"],
+    limits: ["limits.cpu"],
+  },
+  memory: {
+    requests: ["requests.memory", "memory"],
+    limits: ["limits.memory"],
+  },
+  pods: ["pods"],
+  storage: ["requests.storage"],
+};
+
+const toQuotaError = (error, action, kind, name, namespace) =>
+  toHttpError(error, { action, kind, name, namespace });
+
+// Checks a manifest sent by a client and fixes its name and namespace.
+const toManifest = (body, kind, namespace, name) => {
+  if (!body || typeof body !== "object" || !body.spec) {
+    throw httpError(`${kind} manifest with a spec is required`, 400);
+  }
+  const manifestName = name || body.metadata?.name;
+  if (!manifestName) {
+    throw httpError(`${kind} manifest requires metadata.name`, 400);
+  }
+  return {
+    ...body,
+    apiVersion: "v1",
+    kind: kind,
+    metadata: { ...body.metadata, name: manifestName, namespace },
+  };
+};
+
+const transformResourceQuota = (quota) => ({
+  name: quota.metadata?.name,
+  namespace: quota.metadata?.namespace,
+  hard: quota.status?.hard || quota.spec?.hard || {},
+  used: quota.status?.used || {},
+  scopes: quota.spec?.scopes || [],
+  scopeSelector: quota.spec?.scopeSelector,
+  creationTimestamp: quota.metadata?.creationTimestamp,
+  resourceVersion: quota.metadata?.resourceVersion,
+});
+
+const transformLimitRange = (limitRange) => ({
+  name: limitRange.metadata?.name,
+  namespace: limitRange.metadata?.namespace,
+  limits: limitRange.spec?.limits || [],
+  creationTimestamp: limitRange.metadata?.creationTimestamp,
+  resourceVersion: limitRange.metadata?.resourceVersion,
+});
+
+// Used vs hard of one resource across all quotas of a namespace. With
+// several quotas limiting the same resource the tightest one applies.
+const summarizeResource = (quotas, keys) => {
+  let summary = null;
+
+  for (const quota of quotas) {
+    const key = keys.find((candidate) => quota.hard[candidate] !== undefined);
+    if (!key) {
+      continue;
+    }
+    const hard = quota.hard[key];
+    if (summary === null || parseQuantity(hard) < parseQuantity(summary.hard)) {
+      const used = quota.used[key] ?? "0";
+      summary = {
+        used: used,
+        hard: hard,
+        percent: getUsagePercent(used, hard),
+        resourceQuota: quota.name,
+      };
+    }
+  }
+
+  return summary;
+};
+
+// The `quota` block of the namespace details: used vs hard for CPU, memory,
+// pods and storage, or null when the namespace has no ResourceQuota.
+export const summarizeQuotas = (resourceQuotas) => {
+  if (!resourceQuotas?.length) {
+    return null;
+  }
+  const quotas = resourceQuotas.map(transformResourceQuota);
+
+  return {
+    resourceQuotas: quotas.map((quota) => quota.name),
+    cpu: {
+      requests: summarizeResource(quotas, QUOTA_SUMMARY_KEYS.cpu.requests),
+      limits: summarizeResource(quotas, QUOTA_SUMMARY_KEYS.cpu.limits),
+    },
+    memory: {
+      requests: summarizeResource(quotas, QUOTA_SUMMARY_KEYS.memory.requests),
+      limits: summarizeResource(quotas, QUOTA_SUMMARY_KEYS.memory.limits),
+    },
+    pods: summarizeResource(quotas, QUOTA_SUMMARY_KEYS.pods),
+    storage: summarizeResource(quotas, QUOTA_SUMMARY_KEYS.storage),
+  };
+};
+
+export const getResourceQuotas = async (namespace) => {
+  try {
+    logger.debug(
+      `Calling Kubernetes API to list resource quotas in namespace: ${namespace}`
+    );
+    const res = await k8sApi.listNamespacedResourceQuota({ namespace });
+    const quotas = (res.body || res).items.map(transformResourceQuota);
+
+    logger.info(
+      `Successfully fetched ${quotas.length} resource quotas in namespace: ${namespace}`
+    );
+    return quotas;
+  } catch (error) {
+    logger.error(`Failed to list resource quotas: ${error.message}`, {
+      namespace: namespace,
+      error: error.message,
+      stack: error.stack,
+    });
+    throw toQuotaError(error, "list", "ResourceQuota", null, namespace);
+  }
+};
+
+export const getResourceQuota = async (name, namespace) => {
+  try {
+    const res = await k8sApi.readNamespacedResourceQuota({ name, namespace });
+    return transformResourceQuota(res.body || res);
+  } catch (error) {
+    logger.error(`Failed to fetch resource quota ${name}: ${error.message}`, {
+      quotaName: name,
+      namespace: namespace,
+      error: error.message,
+      stack: error.stack,
+    });
+    throw toQuotaError(error, "fetch", "ResourceQuota", name, namespace);
+  }
+};
+
+export const createResourceQuota = async (namespace, body) => {
+  const name = body?.metadata?.name;
+  try {
+    const manifest = toManifest(body, "ResourceQuota", namespace);
+    logger.debug(
+      `Calling Kubernetes API to create resource quota: ${manifest.metadata.name} in namespace: ${namespace}`
+    );
+
+    const res = await k8sApi.createNamespacedResourceQuota({
+      namespace,
+      body: manifest,
+    });
+
+    logger.info(
+      `Successfully created resource quota: ${manifest.metadata.name}`
+    );
+    return transformResourceQuota(res.body || res);
+  } catch (error) {
+    logger.error(`Failed to create resource quota ${name}: ${error.message}`, {
+      quotaName: name,
+      namespace: namespace,
+      error: error.message,
+      stack: error.stack,
+    });
+    throw toQuotaError(error, "create", "ResourceQuota", name, namespace);
+  }
+};
+
+export const updateResourceQuota = async (name, namespace, body) => {
+  try {
+    logger.debug(
+      `Calling Kubernetes API to replace resource quota: ${name} in namespace: ${namespace}`
+    );
+
+    const res = await k8sApi.replaceNamespacedResourceQuota({
+      name,
+      namespace,
+      body: toManifest(body, "ResourceQuota", namespace, name),
+    });
+
+    logger.info(`Successfully replaced resource quota: ${name}`);
+    return transformResourceQuota(res.body || res);
+  } catch (error) {
+    logger.error(`Failed to replace resource quota ${name}: ${error.message}`, {
+      quotaName: name,
+      namespace: namespace,
+      error: error.message,
+      stack: error.stack,
+    });
+    throw toQuotaError(error, "replace", "ResourceQuota", name, namespace);
+  }
+};
+
+export const getLimitRanges = async (namespace) => {
+  try {
+    logger.debug(
+      `Calling Kubernetes API to list limit ranges in namespace: ${namespace}`
+    );
+    const res = await k8sApi.listNamespacedLimitRange({ namespace });
+    const limitRanges = (res.body || res).items.map(transformLimitRange);
+
+    logger.info(
+      `Successfully fetched ${limitRanges.length} limit ranges in namespace: ${namespace}`
+    );
+    return limitRanges;
+  } catch (error) {
+    logger.error(`Failed to list limit ranges: ${error.message}`, {
+      namespace: namespace,
+      error: error.message,
+      stack: error.stack,
+    });
+    throw toQuotaError(error, "list", "LimitRange", null, namespace);
+  }
+};
+
+export const getLimitRange = async (name, namespace) => {
+  try {
+    const res = await k8sApi.readNamespacedLimitRange({ name, namespace });
+    return transformLimitRange(res.body || res);
+  } catch (error) {
+    logger.error(`Failed to fetch limit range ${name}: ${error.message}`, {
+      limitRangeName: name,
+      namespace: namespace,
+      error: error.message,
+      stack: error.stack,
+    });
+    throw toQuotaError(error, "fetch", "LimitRange", name, namespace);
+  }
+};
+
+export const createLimitRange = async (namespace, body) => {
+  const name = body?.metadata?.name;
+  try {
+    const manifest = toManifest(body, "LimitRange", namespace);
+    logger.debug(
+      `Calling Kubernetes API to create limit range: ${manifest.metadata.name} in namespace: ${namespace}`
+    );
+
+    const res = await k8sApi.createNamespacedLimitRange({
+      namespace,
+      body: manifest,
+    });
+
+    logger.info(`Successfully created limit range: ${manifest.metadata.name}`);
+    return transformLimitRange(res.body || res);
+  } catch (error) {
+    logger.error(`Failed to create limit range ${name}: ${error.message}`, {
+      limitRangeName: name,
+      namespace: namespace,
+      error: error.message,
+      stack: error.stack,
+    });
+    throw toQuotaError(error, "create", "LimitRange", name, namespace);
+  }
+};
+
+export const updateLimitRange = async (name, namespace, body) => {
+  try {
+    logger.debug(
+      `Calling Kubernetes API to replace limit range: ${name} in namespace: ${namespace}`
+    );
+
+    const res = await k8sApi.replaceNamespacedLimitRange({
+      name,
+      namespace,
+      body: toManifest(body, "LimitRange", namespace, name),
+    });
+
+    logger.info(`Successfully replaced limit range: ${name}`);
+    return transformLimitRange(res.body || res);
+  } catch (error) {
+    logger.error(`Failed to replace limit range ${name}: ${error.message}`, {
+      limitRangeName: name,
+      namespace: namespace,
+      error: error.message,
+      stack: error.stack,
+    });
+    throw toQuotaError(error, "replace", "LimitRange", name, namespace);
+  }
+};
+
+export default {
+  summarizeQuotas,
+  getResourceQuotas,
+  getResourceQuota,
+  createResourceQuota,
+  updateResourceQuota,
+  getLimitRanges,
+  getLimitRange,
+  createLimitRange,
+  updateLimitRange,
+};
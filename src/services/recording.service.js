@@ -0,0 +1,355 @@
+import crypto from "crypto";
+import fs from "fs";
+import fsPromises from "fs/promises";
+import path from "path";
+import { StringDecoder } from "string_decoder";
+import recordingConfig from "../config/recording.js";
+import logger from "../config/logger.js";
+import { closeWebSocket } from "../utils/ws.close.js";
+
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+const RECORDING_ID_PATTERN = /^[0-9TZ]+-[0-9a-f]+$/;
+
+const castPath = (id) => path.join(recordingConfig.directory, `${id}.cast`);
+const metadataPath = (id) => path.join(recordingConfig.directory, `${id}.json`);
+
+const newRecordingId = (date) =>
+  `${date.toISOString().replace(/[-:]/g, "").replace(/\.\d+/, "")}-${crypto
+    .randomBytes(4)
+    .toString("hex")}`;
+
+const writeMetadata = (metadata) =>
+  fsPromises.writeFile(
+    metadataPath(metadata.id),
+    JSON.stringify(metadata, null, 2)
+  );
+
+// Creates a recorder for one terminal session. Nothing is written until
+// start() is called with the details of the established exec session; then
+// the asciicast v2 header is written, followed by one event per output,
+// input and resize. The session metadata - including who opened it - is kept
+// next to the recording in <id>.json.
+export const createRecorder = ({ namespace, podName, principal }) => {
+  let metadata = null;
+  let castStream = null;
+  let startedAt = 0;
+  const decoders = {
+    o: new StringDecoder("utf8"),
+    i: new StringDecoder("utf8"),
+  };
+
+  const writeEvent = (code, data) => {
+    if (!castStream || !data) {
+      return;
+    }
+    const time = Number(((Date.now() - startedAt) / 1000).toFixed(6));
+    castStream.write(`${JSON.stringify([time, code, data])}\n`);
+  };
+
+  return {
+    start: async ({ container, command, columns, rows }) => {
+      const now = new Date();
+      const id = newRecordingId(now);
+      startedAt = now.getTime();
+
+      await fsPromises.mkdir(recordingConfig.directory, { recursive: true });
+
+      const sessionMetadata = {
+        id,
+        namespace,
+        pod: podName,
+        container,
+        command,
+        user: {
+          name: principal?.name,
+          type: principal?.type,
+          role: principal?.role,
+        },
+        startedAt: now.toISOString(),
+        endedAt: null,
+        exitStatus: null,
+      };
+      await writeMetadata(sessionMetadata);
+
+      castStream = fs.createWriteStream(castPath(id), { flags: "wx" });
+      castStream.on("error", (error) => {
+        logger.error(`Failed to write terminal recording ${id}`, {
+          error: error.message,
+        });
+      });
+      castStream.write(
+        `${JSON.stringify({
+          version: 2,
+          width: columns,
+          height: rows,
+          timestamp: Math.floor(startedAt / 1000),
+          command: command.join(" "),
+          title: `${namespace}/${podName}/${container}`,
+          env: { TERM: "xterm-256color" },
+        })}\n`
+      );
+      // Only a recording with an open cast file needs to be ended
+      metadata = sessionMetadata;
+
+      logger.info(`Recording terminal session ${id}`, {
+        namespace,
+        podName,
+        container,
+        user: principal?.name,
+      });
+      return id;
+    },
+    output: (data) => writeEvent("o", decoders.o.write(data)),
+    input: (data) =>
+      writeEvent(
+        "i",
+        decoders.i.write(Buffer.isBuffer(data) ? data : Buffer.from(data))
+      ),
+    resize: ({ columns, rows }) => writeEvent("r", `${columns}x${rows}`),
+    end: async (exitStatus = null) => {
+      if (!metadata || metadata.endedAt) {
+        return;
+      }
+      metadata.endedAt = new Date().toISOString();
+      metadata.exitStatus = exitStatus;
+      if (castStream) {
+        await new Promise((resolve) => castStream.end(resolve));
+      }
+      try {
+        await writeMetadata(metadata);
+      } catch (error) {
+        logger.error(`Failed to finalize terminal recording ${metadata.id}`, {
+          error: error.message,
+        });
+      }
+    },
+  };
+};
+
+const readMetadata = async (id) => {
+  const [content, stats] = await Promise.all([
+    fsPromises.readFile(metadataPath(id), "utf8"),
+    fsPromises.stat(castPath(id)),
+  ]);
+  return { ...JSON.parse(content), size: stats.size };
+};
+
+const listRecordingIds = async () => {
+  try {
+    const files = await fsPromises.readdir(recordingConfig.directory);
+    return files
+      .filter((file) => file.endsWith(".json"))
+      .map((file) => file.slice(0, -".json".length))
+      .filter((id) => RECORDING_ID_PATTERN.test(id));
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return [];
+    }
+    throw error;
+  }
+};
+
+// Recordings, newest first, optionally filtered by namespace, pod or user.
+export const listRecordings = async ({ namespace, pod, user } = {}) => {
+  const recordings = [];
+  for (const id of await listRecordingIds()) {
+    try {
+      recordings.push(await readMetadata(id));
+    } catch (error) {
+      logger.warn(`Skipping unreadable terminal recording ${id}`, {
+        error: error.message,
+      });
+    }
+  }
+
+  return recordings
+    .filter(
+      (recording) =>
+        (!namespace || recording.namespace === namespace) &&
+        (!pod || recording.pod === pod) &&
+        (!user || recording.user?.name === user)
+    )
+    .sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+};
+
+export const getRecording = async (id) => {
+  if (!RECORDING_ID_PATTERN.test(id)) {
+    throw new Error(`Recording '${id}' not found`);
+  }
+  try {
+    return await readMetadata(id);
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      throw new Error(`Recording '${id}' not found`);
+    }
+    throw error;
+  }
+};
+
+// The asciicast file of a recording, for download.
+export const openRecording = async (id) => {
+  const recording = await getRecording(id);
+  return { recording, stream: fs.createReadStream(castPath(id)) };
+};
+
+// Parses a recording into its header and events, for replay.
+export const readRecording = async (id) => {
+  const recording = await getRecording(id);
+  const lines = (await fsPromises.readFile(castPath(id), "utf8"))
+    .split("\n")
+    .filter(Boolean);
+
+  const events = [];
+  lines.slice(1).forEach((line) => {
+    try {
+      events.push(JSON.parse(line));
+    } catch {
+      // A session cut off mid-write may leave a partial last line
+    }
+  });
+  return { recording, header: JSON.parse(lines[0]), events };
+};
+
+const REPLAY_EVENT_TYPES = { o: "output", i: "input", r: "resize" };
+
+// Plays a recording back over a WebSocket with its original timing: a
+// "header" message, then one "output", "input" or "resize" message per event
+// and a final "end" message. `speed` scales the timing and `idleTimeLimit`
+// caps the pauses between events (in seconds, as in asciinema).
+export const replayRecording = async (
+  clientWs,
+  id,
+  { speed = 1, idleTimeLimit } = {}
+) => {
+  const { recording, header, events } = await readRecording(id);
+  const send = (message) => {
+    if (clientWs.readyState === clientWs.OPEN) {
+      clientWs.send(JSON.stringify(message));
+    }
+  };
+
+  logger.info(`Replaying terminal recording ${id}`, {
+    events: events.length,
+    speed,
+    idleTimeLimit,
+  });
+  send({ type: "header", recording, header });
+
+  let index = 0;
+  let previousTime = 0;
+  let timer = null;
+  clientWs.on("close", () => clearTimeout(timer));
+
+  const playNext = () => {
+    if (clientWs.readyState !== clientWs.OPEN) {
+      return;
+    }
+    if (index >= events.length) {
+      send({ type: "end", timestamp: new Date().toISOString() });
+      closeWebSocket(clientWs, 1000, "Replay finished");
+      return;
+    }
+
+    const [time, code, data] = events[index];
+    let pause = Math.max(0, time - previousTime);
+    if (idleTimeLimit !== undefined) {
+      pause = Math.min(pause, idleTimeLimit);
+    }
+    previousTime = time;
+
+    timer = setTimeout(() => {
+      if (REPLAY_EVENT_TYPES[code]) {
+        send({ type: REPLAY_EVENT_TYPES[code], time, data });
+      }
+      index += 1;
+      playNext();
+    }, (pause * 1000) / speed);
+  };
+  playNext();
+};
+
+// Whether a recording's session is still running, i.e. its metadata has no
+// end time. Unreadable metadata counts as ended.
+const isRecordingActive = async (id) => {
+  try {
+    const metadata = JSON.parse(
+      await fsPromises.readFile(metadataPath(id), "utf8")
+    );
+    return !metadata.endedAt;
+  } catch {
+    return false;
+  }
+};
+
+// Applies the retention settings: removes recordings whose last write is
+// older than the retention period, then the oldest ones until the directory
+// fits the size limit. Sessions still being recorded (no endedAt yet) are not
+// removed to make room; they only expire once idle for the retention period.
+export const pruneRecordings = async () => {
+  const now = Date.now();
+  const maxAgeMs = recordingConfig.retentionDays * 24 * 60 * 60 * 1000;
+  const maxTotalBytes = recordingConfig.maxTotalSizeMb * 1024 * 1024;
+
+  const entries = [];
+  for (const id of await listRecordingIds()) {
+    try {
+      const stats = await fsPromises.stat(castPath(id));
+      entries.push({
+        id,
+        size: stats.size,
+        modifiedAt: stats.mtimeMs,
+        active: await isRecordingActive(id),
+      });
+    } catch {
+      entries.push({ id, size: 0, modifiedAt: 0, active: false });
+    }
+  }
+  entries.sort((a, b) => a.modifiedAt - b.modifiedAt);
+
+  let totalBytes = entries.reduce((sum, entry) => sum + entry.size, 0);
+  const removed = [];
+  for (const entry of entries) {
+    const expired =
+      recordingConfig.retentionDays > 0 && now - entry.modifiedAt > maxAgeMs;
+    const overLimit =
+      recordingConfig.maxTotalSizeMb > 0 &&
+      totalBytes > maxTotalBytes &&
+      !entry.active;
+    if (!expired && !overLimit) {
+      continue;
+    }
+
+    await fsPromises.rm(castPath(entry.id), { force: true });
+    await fsPromises.rm(metadataPath(entry.id), { force: true });
+    totalBytes -= entry.size;
+    removed.push(entry.id);
+  }
+
+  if (removed.length > 0) {
+    logger.info(`Pruned ${removed.length} terminal recordings`, {
+      recordings: removed,
+    });
+  }
+  return removed;
+};
+
+if (recordingConfig.enabled) {
+  const prune = () =>
+    pruneRecordings().catch((error) =>
+      logger.error("Failed to prune terminal recordings", {
+        error: error.message,
+      })
+    );
+  prune();
+  setInterval(prune, PRUNE_INTERVAL_MS).unref();
+}
+
+export default {
+  createRecorder,
+  listRecordings,
+  getRecording,
+  openRecording,
+  readRecording,
+  replayRecording,
+  pruneRecordings,
+};
@@ -1,10 +1,16 @@
-import { KubeConfig, CoreV1Api } from "@kubernetes/client-node";
+import { KubeConfig, CoreV1Api, DiscoveryV1Api } from "@kubernetes/client-node";
 import logger from "../config/logger.js";
+import { getStatusCode } from "../utils/k8s.errors.js";
+import { toLabelSelector } from "../utils/k8s.selectors.js";
 
 const kubeConfig = new KubeConfig();
 kubeConfig.loadFromDefault();
 
 const coreV1Api = kubeConfig.makeApiClient(CoreV1Api);
+const discoveryV1Api = kubeConfig.makeApiClient(DiscoveryV1Api);
+
+// EndpointSlices name the service they belong to in this label
+const SERVICE_NAME_LABEL = "kubernetes.io/service-name";
 
 export const getAllServices = async (namespace = null) => {
   try {
@@ -14,7 +20,7 @@ export const getAllServices = async (namespace = null) => {
 
     let res;
     if (namespace) {
-      res = await coreV1Api.listNamespacedService(namespace);
+      res = await coreV1Api.listNamespacedService({ namespace });
     } else {
       res = await coreV1Api.listServiceForAllNamespaces();
     }
@@ -53,7 +59,7 @@ export const getAllServices = async (namespace = null) => {
       );
     }
 
-    if (error.statusCode === 404 && namespace) {
+    if (getStatusCode(error) === 404 && namespace) {
       throw new Error(`Namespace '${namespace}' not found`);
     }
 
@@ -61,6 +67,26 @@ export const getAllServices = async (namespace = null) => {
   }
 };
 
+export const getServiceByName = async (name, namespace = "default") => {
+  try {
+    logger.debug(
+      `Calling Kubernetes API to get service: ${name} in namespace: ${namespace}`
+    );
+
+    const res = await coreV1Api.readNamespacedService({ name, namespace });
+
+    return res.body || res;
+  } catch (error) {
+    logger.error(`Failed to fetch service ${name}: ${error.message}`, {
+      serviceName: name,
+      namespace: namespace,
+      error: error.message,
+      stack: error.stack,
+    });
+    throw error;
+  }
+};
+
 export const createService = async (namespace, body) => {
   try {
     logger.debug(
@@ -70,7 +96,7 @@ export const createService = async (namespace, body) => {
     const res = await coreV1Api.createNamespacedService({ namespace, body });
 
     logger.info(`Successfully created service`);
-    return res.body;
+    return res.body || res;
   } catch (error) {
     logger.error(`Failed to create service: ${error.message}`, {
       namespace: namespace,
@@ -81,7 +107,239 @@ export const createService = async (namespace, body) => {
   }
 };
 
+export const updateService = async (name, namespace = "default", body) => {
+  try {
+    logger.debug(
+      `Calling Kubernetes API to replace service: ${name} in namespace: ${namespace}`
+    );
+
+    // The cluster IP and node ports are kept when the body leaves them out
+    const res = await coreV1Api.replaceNamespacedService({
+      name,
+      namespace,
+      body: {
+        ...body,
+        metadata: { ...body?.metadata, name, namespace },
+      },
+    });
+
+    logger.info(`Successfully replaced service: ${name}`);
+    return res.body || res;
+  } catch (error) {
+    logger.error(`Failed to replace service ${name}: ${error.message}`, {
+      serviceName: name,
+      namespace: namespace,
+      error: error.message,
+      stack: error.stack,
+    });
+    throw error;
+  }
+};
+
+export const getServicesByLabel = async (namespace, labelSelector) => {
+  try {
+    logger.debug(
+      `Calling Kubernetes API to list services in namespace: ${namespace} matching: ${labelSelector}`
+    );
+
+    const res = await coreV1Api.listNamespacedService({
+      namespace,
+      labelSelector,
+    });
+    const responseData = res.body || res;
+
+    return responseData.items || [];
+  } catch (error) {
+    logger.error(`Failed to list services by label: ${error.message}`, {
+      namespace: namespace,
+      labelSelector: labelSelector,
+      error: error.message,
+      stack: error.stack,
+    });
+    throw error;
+  }
+};
+
+export const deleteService = async (name, namespace = "default") => {
+  try {
+    logger.debug(
+      `Calling Kubernetes API to delete service: ${name} in namespace: ${namespace}`
+    );
+
+    const res = await coreV1Api.deleteNamespacedService({ name, namespace });
+
+    logger.info(`Successfully deleted service: ${name}`);
+    return res.body || res;
+  } catch (error) {
+    logger.error(`Failed to delete service ${name}: ${error.message}`, {
+      serviceName: name,
+      namespace: namespace,
+      error: error.message,
+      stack: error.stack,
+    });
+    throw error;
+  }
+};
+
+// Flattens the endpoints of a service's EndpointSlices into one entry per
+// address with its readiness and the pod behind it.
+const transformEndpoints = (endpointSlices) =>
+  endpointSlices.flatMap((slice) =>
+    (slice.endpoints || []).map((endpoint) => ({
+      addresses: endpoint.addresses || [],
+      ready: endpoint.conditions?.ready !== false,
+      serving: endpoint.conditions?.serving !== false,
+      terminating: endpoint.conditions?.terminating === true,
+      pod: endpoint.targetRef?.kind === "Pod" ? endpoint.targetRef.name : null,
+      nodeName: endpoint.nodeName,
+      zone: endpoint.zone,
+      ports: (slice.ports || []).map((port) => ({
+        name: port.name,
+        port: port.port,
+        protocol: port.protocol,
+      })),
+    }))
+  );
+
+// Endpoint health of one service from its EndpointSlices and the pods its
+// selector matches. `pods` holds the pods of the namespace.
+const summarizeServiceEndpoints = (service, endpointSlices, pods) => {
+  const selector = service.spec?.selector;
+  const hasSelector = !!selector && Object.keys(selector).length > 0;
+  const matchingPods = hasSelector
+    ? pods.filter((pod) =>
+        Object.entries(selector).every(
+          ([key, value]) => pod.metadata?.labels?.[key] === value
+        )
+      )
+    : [];
+  const endpoints = transformEndpoints(endpointSlices);
+  const readyCount = endpoints.filter((endpoint) => endpoint.ready).length;
+
+  const findings = [];
+  if (hasSelector && matchingPods.length === 0) {
+    findings.push({
+      type: "NoMatchingPods",
+      reason: `Selector ${toLabelSelector({
+        matchLabels: selector,
+      })} matches no pods; check the labels of the pod template`,
+    });
+  } else if (service.spec?.type !== "ExternalName" && readyCount === 0) {
+    findings.push({
+      type: "NoReadyEndpoints",
+      reason:
+        endpoints.length > 0
+          ? `None of the ${endpoints.length} endpoints is ready; check the readiness probes of the pods`
+          : "Service has no endpoints",
+    });
+  }
+
+  return {
+    name: service.metadata?.name,
+    namespace: service.metadata?.namespace,
+    type: service.spec?.type,
+    selector: selector || null,
+    ports: service.spec?.ports || [],
+    matchingPods: matchingPods.map((pod) => ({
+      name: pod.metadata?.name,
+      phase: pod.status?.phase,
+    })),
+    endpoints: endpoints,
+    readyCount: readyCount,
+    notReadyCount: endpoints.length - readyCount,
+    healthy: findings.length === 0,
+    findings: findings,
+  };
+};
+
+// Which pods back a service and whether they are ready.
+export const getServiceEndpoints = async (name, namespace = "default") => {
+  try {
+    logger.debug(
+      `Calling Kubernetes API to get endpoints of service: ${name} in namespace: ${namespace}`
+    );
+
+    const service = await getServiceByName(name, namespace);
+    const [slicesRes, podsRes] = await Promise.all([
+      discoveryV1Api.listNamespacedEndpointSlice({
+        namespace,
+        labelSelector: `${SERVICE_NAME_LABEL}=${name}`,
+      }),
+      service.spec?.selector
+        ? coreV1Api.listNamespacedPod({
+            namespace,
+            labelSelector: toLabelSelector({
+              matchLabels: service.spec.selector,
+            }),
+          })
+        : { items: [] },
+    ]);
+
+    return summarizeServiceEndpoints(
+      service,
+      (slicesRes.body || slicesRes).items,
+      (podsRes.body || podsRes).items
+    );
+  } catch (error) {
+    logger.error(
+      `Failed to fetch endpoints of service ${name}: ${error.message}`,
+      {
+        serviceName: name,
+        namespace: namespace,
+        error: error.message,
+        stack: error.stack,
+      }
+    );
+    throw error;
+  }
+};
+
+// Endpoint health of every service in a namespace.
+export const getAllServiceEndpoints = async (namespace = "default") => {
+  try {
+    logger.debug(
+      `Calling Kubernetes API to get endpoints of services in namespace: ${namespace}`
+    );
+
+    const [servicesRes, slicesRes, podsRes] = await Promise.all([
+      coreV1Api.listNamespacedService({ namespace }),
+      discoveryV1Api.listNamespacedEndpointSlice({ namespace }),
+      coreV1Api.listNamespacedPod({ namespace }),
+    ]);
+    const slices = (slicesRes.body || slicesRes).items;
+    const pods = (podsRes.body || podsRes).items;
+
+    return (servicesRes.body || servicesRes).items.map((service) =>
+      summarizeServiceEndpoints(
+        service,
+        slices.filter(
+          (slice) =>
+            slice.metadata?.labels?.[SERVICE_NAME_LABEL] ===
+            service.metadata?.name
+        ),
+        pods
+      )
+    );
+  } catch (error) {
+    logger.error(
+      `Failed to fetch endpoints of services in namespace ${namespace}: ${error.message}`,
+      {
+        namespace: namespace,
+        error: error.message,
+        stack: error.stack,
+      }
+    );
+    throw error;
+  }
+};
+
 export default {
   getAllServices,
+  getServiceByName,
   createService,
+  updateService,
+  getServicesByLabel,
+  deleteService,
+  getServiceEndpoints,
+  getAllServiceEndpoints,
 };
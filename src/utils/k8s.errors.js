@@ -0,0 +1,113 @@
+// Helpers for errors thrown by @kubernetes/client-node. Generated API calls
+// throw an ApiException carrying the HTTP status in `code` and the V1Status
+// response as a JSON string in `body`; watch and log helpers use
+// `statusCode` instead.
+
+export const getStatusCode = (error) => {
+  if (typeof error?.statusCode === "number") {
+    return error.statusCode;
+  }
+  if (typeof error?.code === "number") {
+    return error.code;
+  }
+  return undefined;
+};
+
+export const getApiErrorMessage = (error) => {
+  let body = error?.body;
+  if (typeof body === "string") {
+    try {
+      body = JSON.parse(body);
+    } catch {
+      return body || error.message;
+    }
+  }
+  return body?.message || error?.message;
+};
+
+export const CLUSTER_UNREACHABLE_MESSAGE =
+  "Cannot connect to Kubernetes cluster. Please check your kubeconfig and cluster status.";
+
+const isConnectionError = (error) =>
+  error?.code === "ECONNREFUSED" || error?.code === "ENOTFOUND";
+
+// An error the controllers answer with the given HTTP status.
+export const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Translates an error from an API call into an httpError: 404 becomes
+// "<kind> '<name>' not found in namespace '<namespace>'" (or `notFound`), an
+// unreachable cluster 502, anything else "Failed to <action> <kind> <name>"
+// with the API's message and status. Errors that already carry a status of
+// their own (httpError) are passed through.
+export const toHttpError = (
+  error,
+  { action, kind, name, namespace, notFound }
+) => {
+  if (typeof error.statusCode === "number" && typeof error.code !== "number") {
+    return error;
+  }
+
+  const statusCode = getStatusCode(error);
+  if (statusCode === 404) {
+    return httpError(
+      notFound ||
+        (name
+          ? `${kind} '${name}' not found in namespace '${namespace}'`
+          : `Namespace '${namespace}' not found`),
+      404
+    );
+  }
+
+  if (isConnectionError(error)) {
+    return httpError(CLUSTER_UNREACHABLE_MESSAGE, 502);
+  }
+
+  return httpError(
+    `Failed to ${action} ${kind}${name ? ` ${name}` : ""}: ${getApiErrorMessage(
+      error
+    )}`,
+    statusCode
+  );
+};
+
+// The HTTP status for an error reaching a controller: 404 for "not found"
+// messages, 502 when the cluster is unreachable, the error's own status when
+// it is a client or server error, otherwise 500.
+export const getHttpStatus = (error) => {
+  if (error.message?.includes("not found")) {
+    return 404;
+  }
+  if (
+    isConnectionError(error) ||
+    error.message?.includes("Cannot connect to Kubernetes")
+  ) {
+    return 502;
+  }
+  const statusCode = getStatusCode(error);
+  if (statusCode >= 400 && statusCode < 600) {
+    return statusCode;
+  }
+  return 500;
+};
+
+// Responds with an error in the API's error format.
+export const sendError = (res, error) =>
+  res.status(getHttpStatus(error)).json({
+    success: false,
+    error: error.message,
+    timestamp: new Date().toISOString(),
+  });
+
+export default {
+  getStatusCode,
+  getApiErrorMessage,
+  CLUSTER_UNREACHABLE_MESSAGE,
+  httpError,
+  toHttpError,
+  getHttpStatus,
+  sendError,
+};
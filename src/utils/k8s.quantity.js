@@ -0,0 +1,58 @@
+// Helpers for Kubernetes resource quantities such as "500m", "2", "128Mi"
+// or "1.5G". Quantities are parsed into plain numbers of the base unit:
+// cores for CPU, bytes for memory and storage, a count for everything else.
+
+const SUFFIXES = {
+  n: 1e-9,
+  u: 1e-6,
+  m: 1e-3,
+  k: 1e3,
+  M: 1e6,
+  G: 1e9,
+  T: 1e12,
+  P: 1e15,
+  E: 1e18,
+  Ki: 2 ** 10,
+  Mi: 2 ** 20,
+  Gi: 2 ** 30,
+  Ti: 2 ** 40,
+  Pi: 2 ** 50,
+  Ei: 2 ** 60,
+};
+
+const QUANTITY_PATTERN =
+  /^([+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)([a-zA-Z]*)$/;
+
+// Returns the quantity as a number, or null when it is not a valid quantity.
+export const parseQuantity = (quantity) => {
+  if (typeof quantity === "number") {
+    return quantity;
+  }
+  const match = String(quantity ?? "")
+    .trim()
+    .match(QUANTITY_PATTERN);
+  if (!match) {
+    return null;
+  }
+  const [, number, suffix] = match;
+  if (suffix && !(suffix in SUFFIXES)) {
+    return null;
+  }
+  return parseFloat(number) * (suffix ? SUFFIXES[suffix] : 1);
+};
+
+// Share of `used` in `hard` as a percentage with one decimal, or null when
+// either is missing or the limit is zero.
+export const getUsagePercent = (used, hard) => {
+  const usedValue = parseQuantity(used);
+  const hardValue = parseQuantity(hard);
+  if (usedValue === null || !hardValue) {
+    return null;
+  }
+  return Math.round((usedValue / hardValue) * 1000) / 10;
+};
+
+export default {
+  parseQuantity,
+  getUsagePercent,
+};
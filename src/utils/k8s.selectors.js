@@ -0,0 +1,26 @@
+// Converts a label selector object into the string form accepted by list
+// and watch calls. Services select pods with a plain label map, which is
+// passed as { matchLabels: service.spec.selector }.
+export const toLabelSelector = (selector = {}) => {
+  const requirements = Object.entries(selector.matchLabels || {}).map(
+    ([key, value]) => `${key}=${value}`
+  );
+
+  (selector.matchExpressions || []).forEach(({ key, operator, values }) => {
+    if (operator === "In" || operator === "NotIn") {
+      requirements.push(
+        `${key} ${operator.toLowerCase()} (${values.join(",")})`
+      );
+    } else if (operator === "Exists") {
+      requirements.push(key);
+    } else if (operator === "DoesNotExist") {
+      requirements.push(`!${key}`);
+    }
+  });
+
+  return requirements.join(",");
+};
+
+export default {
+  toLabelSelector,
+};
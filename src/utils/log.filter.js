@@ -0,0 +1,164 @@
+// Filtering of log lines for the log stream WebSockets. A filter spec is a
+// plain object so it can come from query parameters or a control message:
+//   { contains, regex, exclude: [patterns], level, ignoreCase }
+// All given criteria must match for a line to pass.
+
+import RE2 from "re2";
+
+export const LOG_LEVELS = ["trace", "debug", "info", "warn", "error", "fatal"];
+
+const MAX_PATTERN_LENGTH = 500;
+// Patterns only see the start of longer lines
+const MAX_MATCHED_LINE_LENGTH = 16384;
+
+const LEVEL_ALIASES = {
+  warning: "warn",
+  err: "error",
+  critical: "fatal",
+  crit: "fatal",
+  panic: "fatal",
+  emergency: "fatal",
+  alert: "fatal",
+  notice: "info",
+  information: "info",
+  verbose: "debug",
+};
+
+// Numeric levels as used by pino and bunyan
+const NUMERIC_LEVELS = {
+  10: "trace",
+  20: "debug",
+  30: "info",
+  40: "warn",
+  50: "error",
+  60: "fatal",
+};
+
+const TEXT_LEVEL_PATTERN =
+  /\b(TRACE|DEBUG|INFO|NOTICE|WARN|WARNING|ERROR|ERR|CRITICAL|FATAL|PANIC)\b/;
+
+const normalizeLevel = (value) => {
+  if (typeof value === "number") {
+    return NUMERIC_LEVELS[Math.floor(value / 10) * 10] || null;
+  }
+  if (typeof value !== "string") {
+    return null;
+  }
+  const level = value.trim().toLowerCase();
+  if (LOG_LEVELS.includes(level)) {
+    return level;
+  }
+  return LEVEL_ALIASES[level] || null;
+};
+
+// Detects the level of a log line. JSON lines are read from their level
+// field (level, severity, lvl or log.level); other lines from the first
+// level keyword they contain. Returns null when no level is found.
+export const detectLogLevel = (line) => {
+  const trimmed = line.trim();
+  if (trimmed.startsWith("{")) {
+    try {
+      const entry = JSON.parse(trimmed);
+      return normalizeLevel(
+        entry.level ??
+          entry.severity ??
+          entry.lvl ??
+          entry["log.level"] ??
+          entry.log?.level
+      );
+    } catch {
+      // Not JSON after all; fall through to keyword detection
+    }
+  }
+
+  const match = line.match(TEXT_LEVEL_PATTERN);
+  return match ? normalizeLevel(match[1]) : null;
+};
+
+// Patterns run against every log line on the server's only thread, so they
+// are compiled with RE2, which matches in time linear in the line length
+// instead of backtracking. RE2 has no backreferences or lookarounds.
+const compilePattern = (pattern, flags, name) => {
+  if (pattern.length > MAX_PATTERN_LENGTH) {
+    throw new Error(
+      `${name} must not be longer than ${MAX_PATTERN_LENGTH} characters`
+    );
+  }
+  try {
+    return new RE2(pattern, flags);
+  } catch (error) {
+    throw new Error(`Invalid ${name}: ${error.message}`);
+  }
+};
+
+// Turns a filter spec into a predicate on log lines. Throws when the spec is
+// invalid (bad regex, unknown level).
+export const createLogFilter = (spec = {}) => {
+  const flags = spec.ignoreCase ? "i" : "";
+  let contains = spec.contains ? String(spec.contains) : null;
+  if (contains !== null && spec.ignoreCase) {
+    contains = contains.toLowerCase();
+  }
+  const regex = spec.regex
+    ? compilePattern(String(spec.regex), flags, "regex")
+    : null;
+  const excludes = []
+    .concat(spec.exclude || [])
+    .map((pattern) =>
+      compilePattern(String(pattern), flags, "exclude pattern")
+    );
+
+  let minLevel = null;
+  if (spec.level) {
+    minLevel = normalizeLevel(String(spec.level));
+    if (!minLevel) {
+      const levels = LOG_LEVELS.join(", ");
+      throw new Error(
+        `Unknown log level '${spec.level}'. Use one of: ${levels}`
+      );
+    }
+  }
+
+  return (line) => {
+    if (contains !== null) {
+      const haystack = spec.ignoreCase ? line.toLowerCase() : line;
+      if (!haystack.includes(contains)) {
+        return false;
+      }
+    }
+    const matched =
+      line.length > MAX_MATCHED_LINE_LENGTH
+        ? line.slice(0, MAX_MATCHED_LINE_LENGTH)
+        : line;
+    if (regex && !regex.test(matched)) {
+      return false;
+    }
+    if (excludes.some((pattern) => pattern.test(matched))) {
+      return false;
+    }
+    if (minLevel) {
+      const level = detectLogLevel(line);
+      if (!level || LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(minLevel)) {
+        return false;
+      }
+    }
+    return true;
+  };
+};
+
+// Reads a filter spec from the query string of a log stream URL:
+// ?contains=...&regex=...&exclude=...&exclude=...&level=error&ignoreCase=true
+export const parseLogFilterParams = (searchParams) => ({
+  contains: searchParams.get("contains") || undefined,
+  regex: searchParams.get("regex") || undefined,
+  exclude: searchParams.getAll("exclude").filter(Boolean),
+  level: searchParams.get("level") || undefined,
+  ignoreCase: searchParams.get("ignoreCase") === "true",
+});
+
+export default {
+  LOG_LEVELS,
+  detectLogLevel,
+  createLogFilter,
+  parseLogFilterParams,
+};
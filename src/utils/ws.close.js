@@ -0,0 +1,30 @@
+// WebSocket close reasons are limited to 123 bytes of UTF-8; ws throws a
+// RangeError for longer ones. Reasons often carry error messages that quote
+// client input, so they are trimmed by bytes rather than characters.
+const MAX_CLOSE_REASON_BYTES = 123;
+
+export const toCloseReason = (reason) => {
+  const text = String(reason ?? "");
+  if (Buffer.byteLength(text) <= MAX_CLOSE_REASON_BYTES) {
+    return text;
+  }
+
+  let trimmed = "";
+  let bytes = 0;
+  for (const char of text.slice(0, MAX_CLOSE_REASON_BYTES)) {
+    bytes += Buffer.byteLength(char);
+    if (bytes > MAX_CLOSE_REASON_BYTES) {
+      break;
+    }
+    trimmed += char;
+  }
+  return trimmed;
+};
+
+export const closeWebSocket = (ws, code, reason) =>
+  ws.close(code, toCloseReason(reason));
+
+export default {
+  toCloseReason,
+  closeWebSocket,
+};
@@ -1,20 +1,46 @@
 import { WebSocketServer } from "ws";
 import deploymentService from "../services/deployment.service.js";
 import logger from "../config/logger.js";
+import { LOG_FORMATS, endLogStream } from "../services/pod/pod.logs.js";
+import { createLogFilter, parseLogFilterParams } from "../utils/log.filter.js";
+import { closeWebSocket } from "../utils/ws.close.js";
 
 export const createDeploymentLogWebSocketServer = (server) => {
   const wss = new WebSocketServer({ noServer: true });
 
   wss.on("connection", (ws, req) => {
     const { searchParams } = new URL(req.url, `http://${req.headers.host}`);
-    const namespace = searchParams.get("namespace");
+    const namespace = searchParams.get("namespace") || "default";
+    const tailLines = parseInt(searchParams.get("tailLines"), 10);
     const deploymentName = req.url.split("/")[3];
+    const filter = parseLogFilterParams(searchParams);
+    const format = searchParams.get("format") || "text";
+
+    if (!LOG_FORMATS.includes(format)) {
+      closeWebSocket(
+        ws,
+        1008,
+        `Unsupported format, expected one of: ${LOG_FORMATS.join(", ")}`
+      );
+      return;
+    }
+
+    try {
+      createLogFilter(filter);
+    } catch (error) {
+      endLogStream(ws, format, error.message, 1008);
+      return;
+    }
 
     logger.info(
       `WebSocket connection established for deployment logs: ${deploymentName} in namespace: ${namespace}`
     );
 
-    deploymentService.streamDeploymentLogs(ws, namespace, deploymentName);
+    deploymentService.streamDeploymentLogs(ws, namespace, deploymentName, {
+      tailLines: tailLines > 0 ? tailLines : undefined,
+      filter,
+      format,
+    });
 
     ws.on("close", () => {
       logger.info(
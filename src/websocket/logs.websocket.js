@@ -1,7 +1,10 @@
 import WebSocket from "ws";
 import podService from "../services/pod.service.js";
 import logger from "../config/logger.js";
+import { LOG_FORMATS, endLogStream } from "../services/pod/pod.logs.js";
 import url from "url";
+import { createLogFilter, parseLogFilterParams } from "../utils/log.filter.js";
+import { closeWebSocket } from "../utils/ws.close.js";
 
 export const createLogWebSocketServer = (server) => {
   const wss = new WebSocket.Server({ noServer: true });
@@ -9,6 +12,10 @@ export const createLogWebSocketServer = (server) => {
   wss.on("connection", async (ws, req) => {
     const location = url.parse(req.url, true);
     const { containerName } = location.query;
+    const { searchParams } = new URL(req.url, `http://${req.headers.host}`);
+    const tailLines = parseInt(searchParams.get("tailLines"), 10);
+    const filter = parseLogFilterParams(searchParams);
+    const format = searchParams.get("format") || "text";
 
     const pathMatch = location.pathname.match(
       /^\/api\/namespaces\/([a-zA-Z0-9.-]+)\/pods\/([a-zA-Z0-9.-]+)\/logs\/stream$/
@@ -16,7 +23,7 @@ export const createLogWebSocketServer = (server) => {
 
     if (!pathMatch) {
       logger.error("Invalid log stream URL format");
-      ws.close(1008, "Invalid URL format");
+      closeWebSocket(ws, 1008, "Invalid URL format");
       return;
     }
 
@@ -27,7 +34,23 @@ export const createLogWebSocketServer = (server) => {
       logger.error(
         "Log stream WebSocket connection failed: namespace and podName are required"
       );
-      ws.close(1008, "Namespace and pod name are required");
+      closeWebSocket(ws, 1008, "Namespace and pod name are required");
+      return;
+    }
+
+    if (!LOG_FORMATS.includes(format)) {
+      closeWebSocket(
+        ws,
+        1008,
+        `Unsupported format, expected one of: ${LOG_FORMATS.join(", ")}`
+      );
+      return;
+    }
+
+    try {
+      createLogFilter(filter);
+    } catch (error) {
+      endLogStream(ws, format, error.message, 1008);
       return;
     }
 
@@ -38,13 +61,17 @@ export const createLogWebSocketServer = (server) => {
     });
 
     try {
-      await podService.streamPodLogs(ws, namespace, podName, containerName);
+      await podService.streamPodLogs(ws, namespace, podName, containerName, {
+        tailLines: tailLines > 0 ? tailLines : undefined,
+        filter,
+        format,
+      });
     } catch (error) {
       logger.error("Failed to stream pod logs", {
         error: error.message,
         stack: error.stack,
       });
-      ws.close(1011, "Failed to stream pod logs");
+      closeWebSocket(ws, 1011, "Failed to stream pod logs");
     }
 
     ws.on("close", () => {
@@ -0,0 +1,71 @@
+import { WebSocketServer } from "ws";
+import portForwardService from "../services/portforward.service.js";
+import logger from "../config/logger.js";
+import { closeWebSocket } from "../utils/ws.close.js";
+
+const PORT_FORWARD_PATH =
+  /^\/api\/namespaces\/([a-zA-Z0-9.-]+)\/(pods|services)\/([a-zA-Z0-9.-]+)\/portforward$/;
+
+export const createPortForwardWebSocketServer = (server) => {
+  const wss = new WebSocketServer({ noServer: true });
+
+  wss.on("connection", async (ws, req) => {
+    const { pathname, searchParams } = new URL(
+      req.url,
+      `http://${req.headers.host}`
+    );
+    const pathMatch = pathname.match(PORT_FORWARD_PATH);
+
+    if (!pathMatch) {
+      logger.error("Invalid port forward URL format");
+      closeWebSocket(ws, 1008, "Invalid URL format");
+      return;
+    }
+
+    const [, namespace, kind, name] = pathMatch;
+    const port = searchParams.get("port") || undefined;
+
+    if (kind === "pods" && !port) {
+      closeWebSocket(ws, 1008, "port is required");
+      return;
+    }
+
+    logger.info("Port forward WebSocket connection established", {
+      namespace,
+      kind,
+      name,
+      port,
+      principal: req.auth?.name,
+    });
+
+    ws.on("error", (error) => {
+      logger.error(`WebSocket error for port forward to ${namespace}/${name}`, {
+        error: error.message,
+        stack: error.stack,
+      });
+    });
+
+    try {
+      if (kind === "pods") {
+        await portForwardService.forwardPodPort(ws, namespace, name, port);
+      } else {
+        await portForwardService.forwardServicePort(ws, namespace, name, port);
+      }
+    } catch (error) {
+      logger.error("Failed to open port forward", {
+        namespace,
+        kind,
+        name,
+        port,
+        error: error.message,
+      });
+      closeWebSocket(
+        ws,
+        error.statusCode >= 400 && error.statusCode < 500 ? 1008 : 1011,
+        error.message
+      );
+    }
+  });
+
+  return wss;
+};
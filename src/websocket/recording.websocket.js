@@ -0,0 +1,81 @@
+import { WebSocketServer } from "ws";
+import recordingService from "../services/recording.service.js";
+import logger from "../config/logger.js";
+import { closeWebSocket } from "../utils/ws.close.js";
+
+const MAX_REPLAY_SPEED = 100;
+
+// Reads an optional positive number from the query string. Returns undefined
+// when absent and NaN when invalid.
+const parsePositiveParam = (value) => {
+  if (value === null || value === "") {
+    return undefined;
+  }
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : NaN;
+};
+
+export const createRecordingReplayWebSocketServer = (server) => {
+  const wss = new WebSocketServer({ noServer: true });
+
+  wss.on("connection", async (ws, req) => {
+    const { pathname, searchParams } = new URL(
+      req.url,
+      `http://${req.headers.host}`
+    );
+    const id = pathname.split("/")[3];
+    const speed = parsePositiveParam(searchParams.get("speed"));
+    const idleTimeLimit = parsePositiveParam(searchParams.get("idleTimeLimit"));
+
+    if (Number.isNaN(speed) || speed > MAX_REPLAY_SPEED) {
+      closeWebSocket(
+        ws,
+        1008,
+        `speed must be a positive number up to ${MAX_REPLAY_SPEED}`
+      );
+      return;
+    }
+    if (Number.isNaN(idleTimeLimit)) {
+      closeWebSocket(
+        ws,
+        1008,
+        "idleTimeLimit must be a positive number of seconds"
+      );
+      return;
+    }
+
+    logger.info(
+      `WebSocket connection established for recording replay: ${id}`,
+      {
+        principal: req.auth?.name,
+      }
+    );
+
+    ws.on("close", () => {
+      logger.info(`WebSocket connection closed for recording replay: ${id}`);
+    });
+
+    ws.on("error", (error) => {
+      logger.error(`WebSocket error for recording replay: ${id}`, {
+        error: error.message,
+        stack: error.stack,
+      });
+    });
+
+    try {
+      await recordingService.replayRecording(ws, id, { speed, idleTimeLimit });
+    } catch (error) {
+      logger.error("Failed to replay terminal recording", {
+        id,
+        error: error.message,
+      });
+      closeWebSocket(
+        ws,
+        error.message.includes("not found") ? 1008 : 1011,
+        error.message
+      );
+    }
+  });
+
+  return wss;
+};
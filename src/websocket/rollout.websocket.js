@@ -0,0 +1,37 @@
+import { WebSocketServer } from "ws";
+import deploymentService from "../services/deployment.service.js";
+import logger from "../config/logger.js";
+
+export const createRolloutWebSocketServer = (server) => {
+  const wss = new WebSocketServer({ noServer: true });
+
+  wss.on("connection", (ws, req) => {
+    const { searchParams } = new URL(req.url, `http://${req.headers.host}`);
+    const namespace = searchParams.get("namespace") || "default";
+    const deploymentName = req.url.split("/")[3];
+
+    logger.info(
+      `WebSocket connection established for deployment rollout: ${deploymentName} in namespace: ${namespace}`
+    );
+
+    deploymentService.streamDeploymentRollout(ws, namespace, deploymentName);
+
+    ws.on("close", () => {
+      logger.info(
+        `WebSocket connection closed for deployment rollout: ${deploymentName} in namespace: ${namespace}`
+      );
+    });
+
+    ws.on("error", (error) => {
+      logger.error(
+        `WebSocket error for deployment rollout: ${deploymentName} in namespace: ${namespace}`,
+        {
+          error: error.message,
+          stack: error.stack,
+        }
+      );
+    });
+  });
+
+  return wss;
+};
@@ -1,14 +1,17 @@
 import WebSocket from "ws";
 import podService from "../services/pod.service.js";
+import { createRecorder } from "../services/recording.service.js";
+import recordingConfig from "../config/recording.js";
 import logger from "../config/logger.js";
 import url from "url";
+import { closeWebSocket } from "../utils/ws.close.js";
 
 export const createTerminalWebSocketServer = (server) => {
   const wss = new WebSocket.Server({ noServer: true });
 
   wss.on("connection", async (ws, req) => {
     const location = url.parse(req.url, true);
-    const { containerName, shell } = location.query;
+    const { containerName, shell, framed, cols, rows } = location.query;
 
     const pathMatch = location.pathname.match(
       /^\/api\/namespaces\/([a-zA-Z0-9.-]+)\/pods\/([a-zA-Z0-9.-]+)\/terminal$/
@@ -43,14 +46,26 @@ export const createTerminalWebSocketServer = (server) => {
         namespace,
         podName,
         containerName,
-        shell
+        shell,
+        {
+          framed: framed === "true",
+          columns: cols,
+          rows: rows,
+          recorder: recordingConfig.enabled
+            ? createRecorder({ namespace, podName, principal: req.auth })
+            : undefined,
+        }
       );
     } catch (error) {
       logger.error("Failed to connect to pod terminal", {
         error: error.message,
         stack: error.stack,
       });
-      ws.close(1011, "Failed to connect to pod terminal");
+      if (error.statusCode === 400) {
+        closeWebSocket(ws, 1008, error.message);
+      } else {
+        closeWebSocket(ws, 1011, "Failed to connect to pod terminal");
+      }
     }
 
     ws.on("close", () => {
@@ -0,0 +1,61 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  coversHost,
+  moveTlsHosts,
+} from "../../src/services/certificate.service.js";
+
+test("coversHost matches exact names case-insensitively", () => {
+  assert.equal(coversHost(["app.example.com"], "App.Example.com"), true);
+  assert.equal(coversHost(["app.example.com"], "api.example.com"), false);
+});
+
+test("coversHost lets a wildcard cover exactly one label", () => {
+  const dnsNames = ["*.example.com"];
+
+  assert.equal(coversHost(dnsNames, "app.example.com"), true);
+  assert.equal(coversHost(dnsNames, "example.com"), false);
+  assert.equal(coversHost(dnsNames, "a.b.example.com"), false);
+  assert.equal(coversHost(dnsNames, "app.example.org"), false);
+});
+
+test("moveTlsHosts moves hosts into the secret's entry", () => {
+  const tls = moveTlsHosts(
+    [
+      { secretName: "old", hosts: ["a.example.com", "b.example.com"] },
+      { secretName: "new", hosts: ["c.example.com"] },
+    ],
+    "new",
+    ["a.example.com"]
+  );
+
+  assert.deepEqual(tls, [
+    { secretName: "old", hosts: ["b.example.com"] },
+    { secretName: "new", hosts: ["c.example.com", "a.example.com"] },
+  ]);
+});
+
+test("moveTlsHosts drops entries that lost their last host", () => {
+  const tls = moveTlsHosts(
+    [{ secretName: "old", hosts: ["a.example.com"] }],
+    "new",
+    ["a.example.com"]
+  );
+
+  assert.deepEqual(tls, [{ secretName: "new", hosts: ["a.example.com"] }]);
+});
+
+test("moveTlsHosts keeps entries without hosts", () => {
+  const fallback = { secretName: "default-cert" };
+  const tls = moveTlsHosts(
+    [fallback, { secretName: "new", hosts: [] }],
+    "new",
+    ["a.example.com"]
+  );
+
+  assert.deepEqual(tls, [
+    fallback,
+    { secretName: "new", hosts: [] },
+    { secretName: "new", hosts: ["a.example.com"] },
+  ]);
+});
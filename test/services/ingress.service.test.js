@@ -0,0 +1,88 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  getHostClaims,
+  claimsOverlap,
+} from "../../src/services/ingress.service.js";
+
+const rule = (host, ...paths) => ({
+  host,
+  http: paths.length
+    ? { paths: paths.map((path) => ({ path, pathType: "Prefix" })) }
+    : undefined,
+});
+
+test("getHostClaims lists host and path pairs", () => {
+  const claims = getHostClaims({
+    spec: {
+      rules: [
+        rule("App.Example.com", "/api/", "/"),
+        rule("static.example.com"),
+      ],
+    },
+  });
+
+  assert.deepEqual(claims, [
+    { host: "app.example.com", path: "/api" },
+    { host: "app.example.com", path: "/" },
+    { host: "static.example.com", path: null },
+  ]);
+});
+
+test("getHostClaims skips rules without a host", () => {
+  assert.deepEqual(
+    getHostClaims({ spec: { rules: [rule(undefined, "/")] } }),
+    []
+  );
+  assert.deepEqual(getHostClaims({}), []);
+});
+
+test("claimsOverlap compares paths of the same host", () => {
+  const claim = { host: "app.example.com", path: "/api" };
+
+  assert.equal(
+    claimsOverlap(claim, { host: "app.example.com", path: "/api" }),
+    true
+  );
+  assert.equal(
+    claimsOverlap(claim, { host: "app.example.com", path: null }),
+    true
+  );
+  assert.equal(
+    claimsOverlap(claim, { host: "app.example.com", path: "/web" }),
+    false
+  );
+  assert.equal(
+    claimsOverlap(claim, { host: "api.example.com", path: "/api" }),
+    false
+  );
+});
+
+test("claimsOverlap treats a wildcard as overlapping one label below it", () => {
+  const wildcard = { host: "*.example.com", path: null };
+
+  assert.equal(
+    claimsOverlap(wildcard, { host: "foo.example.com", path: "/" }),
+    true
+  );
+  assert.equal(
+    claimsOverlap({ host: "foo.example.com", path: "/" }, wildcard),
+    true
+  );
+  assert.equal(
+    claimsOverlap(wildcard, { host: "*.example.com", path: "/" }),
+    true
+  );
+  assert.equal(
+    claimsOverlap(wildcard, { host: "example.com", path: null }),
+    false
+  );
+  assert.equal(
+    claimsOverlap(wildcard, { host: "a.b.example.com", path: null }),
+    false
+  );
+  assert.equal(
+    claimsOverlap(wildcard, { host: "*.other.com", path: null }),
+    false
+  );
+});
@@ -0,0 +1,138 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createTarArchive,
+  assertSafeArchive,
+  normalizeContainerPath,
+} from "../../../src/services/pod/pod.files.js";
+
+const END_OF_ARCHIVE = 1024;
+
+const readField = (header, offset, length) =>
+  header
+    .subarray(offset, offset + length)
+    .toString()
+    .replace(/\0.*$/s, "");
+
+// One archive member without the end-of-archive blocks, optionally turned
+// into another member type with a link name.
+const member = (name, content = "", { type, linkName } = {}) => {
+  const archive = createTarArchive(name, Buffer.from(content));
+  const entry = archive.subarray(0, archive.length - END_OF_ARCHIVE);
+  if (type) {
+    entry.write(type, 156);
+  }
+  if (linkName) {
+    entry.write(linkName, 157);
+  }
+  return entry;
+};
+
+const archiveOf = (...members) =>
+  Buffer.concat([...members, Buffer.alloc(END_OF_ARCHIVE)]);
+
+test("createTarArchive writes a ustar header, padded content and trailer", () => {
+  const content = Buffer.from("hello world\n");
+  const archive = createTarArchive("greeting.txt", content, 0o600);
+
+  assert.equal(archive.length, 512 + 512 + 1024);
+  assert.equal(readField(archive, 0, 100), "greeting.txt");
+  assert.equal(readField(archive, 100, 8), "0000600");
+  assert.equal(parseInt(readField(archive, 124, 12), 8), content.length);
+  assert.equal(readField(archive, 156, 1), "0");
+  assert.equal(readField(archive, 257, 6), "ustar");
+  assert.deepEqual(archive.subarray(512, 512 + content.length), content);
+  assert.ok(archive.subarray(512 + content.length).every((byte) => !byte));
+});
+
+test("createTarArchive stores a valid header checksum", () => {
+  const archive = createTarArchive("a.bin", Buffer.alloc(513, 1));
+  const header = Buffer.from(archive.subarray(0, 512));
+  const stored = parseInt(readField(header, 148, 8), 8);
+  header.fill(" ", 148, 156);
+
+  assert.equal(
+    stored,
+    header.reduce((sum, byte) => sum + byte, 0)
+  );
+  assert.equal(archive.length, 512 + 1024 + 1024);
+});
+
+test("createTarArchive rejects names longer than 100 bytes", () => {
+  assert.throws(
+    () => createTarArchive("é".repeat(51), Buffer.alloc(0)),
+    (error) => error.statusCode === 400
+  );
+});
+
+test("assertSafeArchive accepts members inside the target directory", () => {
+  assert.doesNotThrow(() =>
+    assertSafeArchive(
+      archiveOf(
+        member("app/config.yaml", "a: 1"),
+        member("app/current", "", { type: "2", linkName: "../app/v2" }),
+        member("app/copy", "", { type: "1", linkName: "app/config.yaml" })
+      )
+    )
+  );
+  assert.doesNotThrow(() =>
+    assertSafeArchive(createTarArchive("x", Buffer.alloc(0)))
+  );
+});
+
+test("assertSafeArchive rejects absolute and parent paths", () => {
+  for (const name of ["/etc/passwd", "../outside", "app/../../outside"]) {
+    assert.throws(
+      () => assertSafeArchive(archiveOf(member(name, "x"))),
+      (error) =>
+        error.statusCode === 400 &&
+        /outside the target directory/.test(error.message)
+    );
+  }
+});
+
+test("assertSafeArchive rejects links that point outside", () => {
+  for (const [type, linkName] of [
+    ["2", "/etc"],
+    ["2", "../../etc"],
+    ["1", "../secret"],
+  ]) {
+    assert.throws(
+      () =>
+        assertSafeArchive(
+          archiveOf(member("app/link", "", { type, linkName }))
+        ),
+      /links outside the target directory/
+    );
+  }
+});
+
+test("assertSafeArchive reads GNU long names and pax paths", () => {
+  const longName = Buffer.from("../".repeat(40) + "etc/cron.d/job\0");
+  const gnuLongName = member("././@LongLink", longName, { type: "L" });
+  const paxPath = member("PaxHeader", "25 path=../../etc/shadow\n", {
+    type: "x",
+  });
+
+  assert.throws(
+    () => assertSafeArchive(archiveOf(gnuLongName, member("job", "x"))),
+    /outside the target directory/
+  );
+  assert.throws(
+    () => assertSafeArchive(archiveOf(paxPath, member("shadow", "x"))),
+    /outside the target directory/
+  );
+});
+
+test("assertSafeArchive rejects content that is not a tar archive", () => {
+  const archive = archiveOf(member("a", "x"));
+  archive.write("zzzzzzzzzzz\0", 124);
+
+  assert.throws(() => assertSafeArchive(archive), /not a valid tar archive/);
+});
+
+test("normalizeContainerPath requires absolute paths", () => {
+  assert.equal(normalizeContainerPath("/var/log/../data//"), "/var/data");
+  assert.equal(normalizeContainerPath("/"), "/");
+  assert.throws(() => normalizeContainerPath("relative/path"), /absolute/);
+});
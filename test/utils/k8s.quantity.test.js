@@ -0,0 +1,39 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  parseQuantity,
+  getUsagePercent,
+} from "../../src/utils/k8s.quantity.js";
+
+test("parseQuantity converts decimal and binary suffixes", () => {
+  assert.equal(parseQuantity("500m"), 0.5);
+  assert.equal(parseQuantity("2"), 2);
+  assert.equal(parseQuantity("1.5G"), 1.5e9);
+  assert.equal(parseQuantity("128Mi"), 128 * 2 ** 20);
+  assert.equal(parseQuantity("1Ki"), 1024);
+  assert.ok(Math.abs(parseQuantity("100n") - 1e-7) < 1e-15);
+  assert.equal(parseQuantity("1e3"), 1000);
+  assert.equal(parseQuantity(" 4 "), 4);
+  assert.equal(parseQuantity(3), 3);
+});
+
+test("parseQuantity returns null for invalid quantities", () => {
+  assert.equal(parseQuantity("12Xi"), null);
+  assert.equal(parseQuantity("abc"), null);
+  assert.equal(parseQuantity(""), null);
+  assert.equal(parseQuantity(undefined), null);
+  assert.equal(parseQuantity("1 Gi"), null);
+});
+
+test("getUsagePercent compares quantities in different units", () => {
+  assert.equal(getUsagePercent("500m", "2"), 25);
+  assert.equal(getUsagePercent("512Mi", "1Gi"), 50);
+  assert.equal(getUsagePercent("1", "3"), 33.3);
+  assert.equal(getUsagePercent("3", "2"), 150);
+});
+
+test("getUsagePercent returns null without a usable limit", () => {
+  assert.equal(getUsagePercent("1", "0"), null);
+  assert.equal(getUsagePercent("1", undefined), null);
+  assert.equal(getUsagePercent("bogus", "2"), null);
+});
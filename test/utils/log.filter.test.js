@@ -0,0 +1,92 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createLogFilter,
+  detectLogLevel,
+  parseLogFilterParams,
+} from "../../src/utils/log.filter.js";
+
+test("detectLogLevel reads JSON level fields and text keywords", () => {
+  assert.equal(detectLogLevel('{"level":"WARNING","msg":"x"}'), "warn");
+  assert.equal(detectLogLevel('{"level":50,"msg":"x"}'), "error");
+  assert.equal(detectLogLevel('{"log":{"level":"debug"}}'), "debug");
+  assert.equal(detectLogLevel("2024-01-01 ERROR failed to connect"), "error");
+  assert.equal(detectLogLevel("{not json} INFO started"), "info");
+  assert.equal(detectLogLevel("no level here"), null);
+});
+
+test("createLogFilter combines contains, regex, exclude and level", () => {
+  const filter = createLogFilter({
+    contains: "request",
+    regex: "status=5\\d\\d",
+    exclude: ["healthz"],
+    level: "warn",
+  });
+
+  assert.equal(filter("ERROR request failed status=502"), true);
+  assert.equal(filter("INFO request failed status=502"), false);
+  assert.equal(filter("ERROR request status=200"), false);
+  assert.equal(filter("ERROR request /healthz status=503"), false);
+  assert.equal(filter("ERROR status=500"), false);
+});
+
+test("createLogFilter applies ignoreCase to contains and patterns", () => {
+  const filter = createLogFilter({
+    contains: "TIMEOUT",
+    regex: "upstream",
+    ignoreCase: true,
+  });
+
+  assert.equal(filter("Upstream timeout after 30s"), true);
+  assert.equal(createLogFilter({ regex: "upstream" })("Upstream"), false);
+});
+
+test("createLogFilter rejects invalid patterns and levels", () => {
+  assert.throws(() => createLogFilter({ regex: "[" }), /Invalid regex/);
+  assert.throws(
+    () => createLogFilter({ exclude: ["(a)\\1"] }),
+    /Invalid exclude pattern/
+  );
+  assert.throws(
+    () => createLogFilter({ regex: "a".repeat(501) }),
+    /must not be longer than 500 characters/
+  );
+  assert.throws(() => createLogFilter({ level: "loud" }), /Unknown log level/);
+});
+
+test("createLogFilter matches patterns in linear time", () => {
+  const started = Date.now();
+  const filter = createLogFilter({
+    regex: ".*.*.*.*.*.*.*.*!",
+    exclude: ["^(a+)+$"],
+  });
+
+  assert.equal(filter("a".repeat(200)), false);
+  assert.equal(filter(`${"a".repeat(5000)}!`), true);
+  assert.ok(Date.now() - started < 1000);
+});
+
+test("createLogFilter only matches patterns against the start of long lines", () => {
+  const filter = createLogFilter({ regex: "needle" });
+
+  assert.equal(filter(`needle${"x".repeat(20000)}`), true);
+  assert.equal(filter(`${"x".repeat(20000)}needle`), false);
+  assert.equal(
+    createLogFilter({ contains: "needle" })(`${"x".repeat(20000)}needle`),
+    true
+  );
+});
+
+test("parseLogFilterParams reads the log stream query string", () => {
+  const params = new URLSearchParams(
+    "contains=db&exclude=a&exclude=&exclude=b&level=error&ignoreCase=true"
+  );
+
+  assert.deepEqual(parseLogFilterParams(params), {
+    contains: "db",
+    regex: undefined,
+    exclude: ["a", "b"],
+    level: "error",
+    ignoreCase: true,
+  });
+});
@@ -0,0 +1,31 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { toCloseReason, closeWebSocket } from "../../src/utils/ws.close.js";
+
+test("toCloseReason keeps reasons within 123 bytes unchanged", () => {
+  assert.equal(toCloseReason("Deployment deleted"), "Deployment deleted");
+  assert.equal(toCloseReason("a".repeat(123)), "a".repeat(123));
+  assert.equal(toCloseReason(undefined), "");
+});
+
+test("toCloseReason trims long reasons to 123 bytes", () => {
+  assert.equal(toCloseReason("a".repeat(200)), "a".repeat(123));
+});
+
+test("toCloseReason does not split multi-byte characters", () => {
+  const reason = toCloseReason("€".repeat(60));
+
+  assert.equal(reason, "€".repeat(41));
+  assert.ok(Buffer.byteLength(reason) <= 123);
+  assert.ok(Buffer.byteLength(toCloseReason("😀".repeat(40))) <= 123);
+  assert.equal(toCloseReason(`a${"😀".repeat(40)}`), `a${"😀".repeat(30)}`);
+});
+
+test("closeWebSocket closes with the trimmed reason", () => {
+  const calls = [];
+  const ws = { close: (...args) => calls.push(args) };
+
+  closeWebSocket(ws, 1008, "x".repeat(300));
+
+  assert.deepEqual(calls, [[1008, "x".repeat(123)]]);
+});